@@ -0,0 +1,46 @@
+/**
+ * @file    api.js
+ * @brief   ScillyScope client for the puzzle / score API in server.js
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+const API_ROOT = './api';
+const TIMEOUT_MS = 4000;
+
+// fetch JSON; rejects with the server's { error } message on a non-2xx reply
+async function request(path, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+        const res = await fetch(API_ROOT + path, { ...options, signal: controller.signal });
+        const body = await res.json().catch(() => null);
+        if (!res.ok) throw new Error((body && body.error) || `API ${res.status}`);
+        return body;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+export function fetchPuzzles() {
+    return request('/puzzles');
+}
+
+export function fetchPuzzle(id) {
+    return request('/puzzles/' + encodeURIComponent(id));
+}
+
+// attempt: { puzzleId, player, success, accuracy, time, hintsUsed }
+export function submitAttempt(attempt) {
+    return request('/attempts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(attempt)
+    });
+}
+
+// best solve per player: [{ player, time, accuracy, hintsUsed, at }]
+export function fetchLeaderboard(puzzleId, limit = 5) {
+    return request(`/leaderboard?puzzle=${encodeURIComponent(puzzleId)}&limit=${limit}`);
+}
\ No newline at end of file
@@ -6,32 +6,249 @@
  * @date    20 Nov 2025
  */
 
-const AudioContext = window.AudioContext || window.webkitAudioContext;
-export const audioCtx = new AudioContext();
-
-// --- analyser setup ---
-export const analyser = audioCtx.createAnalyser();
-analyser.fftSize = 2048;
-
-// global volume variable (0..1)
-export let volume = 0.5;
-const volumeSlider = document.getElementById('volume-slider');
-volumeSlider.addEventListener('input', () => {
-    volume = volumeSlider.value / 100; // normalize 0..1
-});
-
-// visual amplitude + frequency state
-export let targetAmp = 0;        // 0 or volume
-export let currentFreq = null;   // active note freq (if any)
-export let lastFreq = 0;         // remember last freq to draw during shrink
-
-export function setVars(freq) {
-	currentFreq = freq;
-	lastFreq = freq;
-	targetAmp = volume; 
-}
-
-export function clearVars() {
-    currentFreq = null;
-    targetAmp = 0;
+import { envelopeLevel, releaseLevel } from "./envelope.js";
+import { createEffectsRack } from "./effects.js";
+
+// --- master bus ---
+// voices -> busInput -> effects rack -> master gain (volume slider) -> limiter -> [analyser tap] -> mute -> speakers
+// The scope and the meter both read the tap: the mixed, limited signal at its
+// final level, still visible while muted.
+
+// input -> effects -> master gain -> limiter on any context, so offline renders match
+export function createMasterChain(ctx, level) {
+    const input = ctx.createGain();
+    const rack = createEffectsRack(ctx);
+    const master = ctx.createGain();
+    master.gain.value = level;
+
+    // fast, hard-kneed compressor as a limiter: chords stay under 0 dBFS
+    const limiter = ctx.createDynamicsCompressor();
+    limiter.threshold.value = -3;
+    limiter.knee.value = 0;
+    limiter.ratio.value = 20;
+    limiter.attack.value = 0.002;
+    limiter.release.value = 0.1;
+
+    input.connect(rack.input);
+    rack.output.connect(master);
+    master.connect(limiter);
+    return { input, rack, master, limiter };
+}
+
+// short ramp so slider moves and mute don't click
+const RAMP = 0.015;
+
+const METER_FLOOR_DB = -60;
+const PEAK_HOLD_MS = 1000;
+
+function toDb(v) {
+    return v > 0 ? Math.max(METER_FLOOR_DB, 20 * Math.log10(v)) : METER_FLOOR_DB;
+}
+
+// envelope level of a voice at audio time `now`, the same curve its gain node follows
+export function voiceGain(voice, now) {
+    if (now < voice.start || now >= voice.end) return 0;
+    if (now < voice.releaseAt) return envelopeLevel(now - voice.start, voice.peak);
+    return releaseLevel(now - voice.releaseAt, voice.releaseFrom);
+}
+
+/**
+ * Everything one scope needs on a context: the master bus with its analyser
+ * tap, the XY analysers and the list of sounding voices. Several graphs can
+ * share one AudioContext (each has its own bus to the speakers), and any
+ * object with the AudioContext node factories will do, e.g. a fake in tests.
+ * param: context, starting volume 0..1
+ */
+export function createAudioGraph(ctx, level = 0.5) {
+    let volume = level;
+    let muted = false;
+
+    const bus = createMasterChain(ctx, volume);
+
+    // --- analyser setup ---
+    const analyser = ctx.createAnalyser();
+    analyser.fftSize = 8192; // ~170 ms at 48 kHz: room for 5 ms/div plus a trigger search
+
+    const muteGain = ctx.createGain();
+    bus.limiter.connect(analyser);
+    bus.limiter.connect(muteGain);
+    muteGain.connect(ctx.destination);
+
+    // --- XY (Lissajous) input ---
+    // each voice feeds one input of the merger (0 = X, 1 = Y); a stereo source can
+    // go straight into the splitter with connectStereoXY. One analyser per axis.
+    const xyInput = ctx.createChannelMerger(2);
+    const xySplitter = ctx.createChannelSplitter(2);
+    const analyserX = ctx.createAnalyser();
+    const analyserY = ctx.createAnalyser();
+    analyserX.fftSize = 2048;
+    analyserY.fftSize = 2048;
+    xyInput.connect(xySplitter);
+    xySplitter.connect(analyserX, 0);
+    xySplitter.connect(analyserY, 1);
+
+    const meterData = new Float32Array(analyser.fftSize);
+
+    // every voice on its way to the speakers (held keys and scheduled playback),
+    // kept until its release has died away. A voice is { freq, start, peak,
+    // releaseAt, releaseFrom, end }; releaseAt / end are Infinity while held.
+    const voices = new Set();
+
+    return {
+        ctx,
+        busInput: bus.input,
+        analyser,
+        xyInput,
+        analyserX,
+        analyserY,
+
+        // param: any node with a stereo output; left drives X, right drives Y
+        connectStereoXY(node) {
+            node.connect(xySplitter);
+        },
+
+        setVolume(v) {
+            volume = Math.max(0, Math.min(1, Number(v) || 0));
+            bus.master.gain.setTargetAtTime(volume, ctx.currentTime, RAMP);
+        },
+
+        getVolume() {
+            return volume;
+        },
+
+        setMuted(on) {
+            muted = !!on;
+            muteGain.gain.setTargetAtTime(muted ? 0 : 1, ctx.currentTime, RAMP);
+        },
+
+        isMuted() {
+            return muted;
+        },
+
+        // peak and RMS of the tap right now: { peak, rms, peakDb, rmsDb }
+        readMeter() {
+            analyser.getFloatTimeDomainData(meterData);
+            let peak = 0;
+            let sum = 0;
+            for (let i = 0; i < meterData.length; i++) {
+                const v = Math.abs(meterData[i]);
+                if (v > peak) peak = v;
+                sum += v * v;
+            }
+            const rms = Math.sqrt(sum / meterData.length);
+            return { peak, rms, peakDb: toDb(peak), rmsDb: toDb(rms) };
+        },
+
+        addVoice(voice) {
+            voices.add(voice);
+            return voice;
+        },
+
+        removeVoice(voice) {
+            voices.delete(voice);
+        },
+
+        // voices sounding at `now`, oldest first: [{ freq, start, gain }];
+        // gain includes the master volume, i.e. the level at the analyser tap (before limiting)
+        activeVoices(now = ctx.currentTime) {
+            const list = [];
+            voices.forEach(v => {
+                if (now >= v.end) voices.delete(v);
+                else if (now >= v.start) list.push({ freq: v.freq, start: v.start, gain: voiceGain(v, now) * volume });
+            });
+            return list.sort((a, b) => a.start - b.start);
+        },
+
+        // unhook from the speakers and drop the effects rack
+        dispose() {
+            voices.clear();
+            muteGain.disconnect();
+            bus.rack.dispose();
+        }
+    };
+}
+
+// --- default graph ---
+// the page's own context and bus; null outside a browser (Node tests build
+// their graphs with createAudioGraph and a fake context)
+const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+export const audioCtx = AudioContext ? new AudioContext() : null;
+export const defaultGraph = audioCtx ? createAudioGraph(audioCtx) : null;
+
+export function connectStereoXY(node) {
+    defaultGraph.connectStereoXY(node);
+}
+
+// slider bound with bindVolumeSlider, kept in step with setVolume
+let volumeSlider = null;
+
+/**
+ * Let a range input (0..100) drive the default graph's volume.
+ * param: slider elem, onChange(volume) once a drag is finished (e.g. to save it)
+ */
+export function bindVolumeSlider(slider, onChange) {
+    volumeSlider = slider;
+    slider.value = String(Math.round(getVolume() * 100));
+    slider.addEventListener('input', () => {
+        defaultGraph.setVolume(slider.value / 100); // normalize 0..1
+    });
+    if (onChange) slider.addEventListener('change', () => onChange(getVolume()));
+}
+
+// set from code (restored settings); keeps the slider in step
+export function setVolume(v) {
+    defaultGraph.setVolume(v);
+    if (volumeSlider) volumeSlider.value = String(Math.round(getVolume() * 100));
+}
+
+export function getVolume() {
+    return defaultGraph.getVolume();
+}
+
+export function setMuted(on) {
+    defaultGraph.setMuted(on);
+}
+
+export function isMuted() {
+    return defaultGraph.isMuted();
+}
+
+export function readMeter() {
+    return defaultGraph.readMeter();
+}
+
+// param: meter elem with .meter-rms and .meter-peak children (widths set in %),
+//        graph to read (the page's by default)
+export function initMeter(el, graph = defaultGraph) {
+    const rmsBar = el.querySelector('.meter-rms');
+    const peakMark = el.querySelector('.meter-peak');
+    let held = METER_FLOOR_DB;
+    let heldAt = 0;
+    const toPercent = (db) => (db - METER_FLOOR_DB) / -METER_FLOOR_DB * 100;
+
+    const update = (t) => {
+        requestAnimationFrame(update);
+        const { peakDb, rmsDb, peak } = graph.readMeter();
+        if (peakDb >= held || t - heldAt > PEAK_HOLD_MS) {
+            held = peakDb;
+            heldAt = t;
+        }
+        rmsBar.style.width = toPercent(rmsDb) + '%';
+        peakMark.style.left = toPercent(held) + '%';
+        el.classList.toggle('clipping', peak >= 0.99);
+        el.title = `peak ${peakDb.toFixed(1)} dB, RMS ${rmsDb.toFixed(1)} dB`;
+    };
+    requestAnimationFrame(update);
+}
+
+export function addVoice(voice) {
+    return defaultGraph.addVoice(voice);
+}
+
+export function removeVoice(voice) {
+    defaultGraph.removeVoice(voice);
+}
+
+export function activeVoices(now) {
+    return defaultGraph.activeVoices(now);
 }
\ No newline at end of file
@@ -0,0 +1,194 @@
+/**
+ * @file    codecs.js
+ * @brief   ScillyScope message encodings: direct keys, Morse, Caesar shift, seeded key shuffle
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { keyLayout, noteFrequency, resolveNoteFromLabel } from "./keyboard.js";
+import { DEFAULT_LABELS } from "./tuning.js";
+import { expectedNotes } from "./notation.js";
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const GAP = '␣';
+
+const MORSE = {
+    A: '.-', B: '-...', C: '-.-.', D: '-..', E: '.', F: '..-.', G: '--.', H: '....', I: '..',
+    J: '.---', K: '-.-', L: '.-..', M: '--', N: '-.', O: '---', P: '.--.', Q: '--.-', R: '.-.',
+    S: '...', T: '-', U: '..-', V: '...-', W: '.--', X: '-..-', Y: '-.--', Z: '--..'
+};
+
+// Morse timing in units: dot, dash, gap inside a letter, between letters, between words
+const DOT = 1;
+const DASH = 3;
+const SYMBOL_GAP = 1;
+const LETTER_GAP = 3;
+const WORD_GAP = 7;
+const MORSE_NOTE = 'A3';      // the one tone Morse plays on
+const UNITS_PER_BEAT = 4;     // a Morse unit is a sixteenth at the melody's tempo
+
+// one playback item per chord member, as scheduler.js plays them; labels that
+// resolve to no key just leave a gap. Chord members alternate XY axes so a
+// two-note chord draws its figure
+function melodyItems(parsed, resolve) {
+    const items = [];
+    parsed.events.forEach(ev => {
+        ev.labels.forEach((label, k) => {
+            const note = resolve(label, ev.octaves[k]);
+            const freq = note ? noteFrequency(note) : null;
+            if (freq) items.push({ note, freq, start: ev.start, duration: ev.duration, xyChannel: k % 2 });
+        });
+    });
+    return items;
+}
+
+// labels in message order, chords spelled out; the gap key separates words
+function messageLabels(parsed) {
+    return parsed.events.flatMap(ev => ev.labels);
+}
+
+// A..Z shifted by n (wraps); anything else is left alone
+export function caesarShift(label, n) {
+    const i = ALPHABET.indexOf(label);
+    return i < 0 ? label : ALPHABET[(((i + n) % 26) + 26) % 26];
+}
+
+// seed (number or any string, e.g. a puzzle id) -> 32-bit integer (FNV-1a)
+function hashSeed(seed) {
+    if (typeof seed === 'number') return seed >>> 0;
+    let h = 0x811c9dc5;
+    for (const ch of String(seed)) {
+        h ^= ch.codePointAt(0);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// mulberry32: small deterministic PRNG, returns () -> [0, 1)
+function seededRandom(seed) {
+    let a = hashSeed(seed);
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// the default labels over the current keys, Fisher-Yates shuffled by `seed`
+export function shuffledLabels(seed) {
+    const labels = keyLayout().map((k, i) => DEFAULT_LABELS[i] || GAP);
+    const random = seededRandom(seed);
+    for (let i = labels.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [labels[i], labels[j]] = [labels[j], labels[i]];
+    }
+    return labels;
+}
+
+// resolveNoteFromLabel() over a given label list instead of keyboardConfig's
+function resolveIn(labels, label, preferredOctave) {
+    const keys = keyLayout().filter((k, i) => labels[i] === label);
+    if (keys.length === 0) return null;
+    const byOctave = keys.find(k => k.octave === Number(preferredOctave));
+    return (byOctave || keys[0]).note;
+}
+
+/**
+ * Encodings by name. Each builds a codec from the puzzle's options:
+ *   labels()        key captions in key order while it's active (null: keep the configured ones)
+ *   encode(parsed)  what is played for a parsed melody (scheduler items)
+ *   expected(parsed) the answer as notes, in gradeSequence() order
+ *   hideKeys        true: playback neither lights the keys nor shows their captions
+ * The player always types the plain message on the keys by caption, and the
+ * recording is read as it is (recordedAnswer() in grade.js); the decoding is
+ * theirs, from what they hear and see.
+ */
+export const ENCODINGS = {
+    // each label plays its own key: nothing to decode, the lit keys spell the message
+    direct: () => ({
+        labels: () => null,
+        encode: (parsed) => melodyItems(parsed, resolveNoteFromLabel),
+        expected: (parsed) => expectedNotes(parsed, resolveNoteFromLabel),
+        hideKeys: false
+    }),
+
+    // every letter plays the key `shift` letters further on; the player reads
+    // the lit keys and counts back by the shift
+    caesar: ({ shift = 3 }) => {
+        if (!Number.isInteger(shift)) throw new Error('A Caesar shift must be a whole number');
+        return {
+            labels: () => null,
+            encode: (parsed) => melodyItems(parsed, (label, octave) => resolveNoteFromLabel(caesarShift(label, shift), octave)),
+            expected: (parsed) => expectedNotes(parsed, resolveNoteFromLabel),
+            hideKeys: false
+        };
+    },
+
+    // the labels trade places on the keys, the same way every time for one seed.
+    // Playback stays dark, so the player matches each pitch by ear to a key and
+    // answers with that key's caption
+    shuffle: ({ seed = 0 }) => {
+        const resolve = (label, octave) => resolveIn(shuffledLabels(seed), label, octave);
+        return {
+            labels: () => shuffledLabels(seed),
+            encode: (parsed) => melodyItems(parsed, resolve),
+            expected: (parsed) => expectedNotes(parsed, resolve),
+            hideKeys: true
+        };
+    },
+
+    // dots and dashes on one tone, read off the scope and spelled out as letters;
+    // rests and beats are ignored
+    morse: ({ note = MORSE_NOTE }) => {
+        const freq = noteFrequency(note);
+        if (!freq) throw new Error(`Morse needs a note like A3, got "${note}"`);
+        return {
+            labels: () => null,
+            encode: (parsed) => {
+                const unit = 60 / parsed.tempo / UNITS_PER_BEAT;
+                const items = [];
+                let time = 0;
+                messageLabels(parsed).forEach(label => {
+                    if (label === GAP) {
+                        time += (WORD_GAP - LETTER_GAP) * unit;
+                        return;
+                    }
+                    const code = MORSE[label];
+                    if (!code) return;
+                    Array.from(code).forEach((symbol, i) => {
+                        if (i > 0) time += SYMBOL_GAP * unit;
+                        const duration = (symbol === '.' ? DOT : DASH) * unit;
+                        items.push({ note, freq, start: time, duration, xyChannel: 0 });
+                        time += duration;
+                    });
+                    time += LETTER_GAP * unit;
+                });
+                return items;
+            },
+            expected: (parsed) => expectedNotes(parsed, resolveNoteFromLabel),
+            hideKeys: false
+        };
+    }
+};
+
+// true for a puzzle's `encoding` field: { scheme, shift?, seed?, note? }
+export function isValidEncoding(encoding) {
+    if (!encoding || !Object.prototype.hasOwnProperty.call(ENCODINGS, encoding.scheme)) return false;
+    try {
+        createCodec(encoding);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// codec for an encoding (direct when none is given); throws on unknown schemes or bad options
+export function createCodec(encoding) {
+    const options = encoding || { scheme: 'direct' };
+    const make = Object.prototype.hasOwnProperty.call(ENCODINGS, options.scheme) ? ENCODINGS[options.scheme] : null;
+    if (!make) throw new Error(`Unknown encoding "${options.scheme}"`);
+    return { scheme: options.scheme, ...make(options) };
+}
\ No newline at end of file
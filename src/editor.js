@@ -0,0 +1,272 @@
+/**
+ * @file    editor.js
+ * @brief   ScillyScope puzzle editor: write or record a message, check it, export a pack
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { parseMelody, isLabel, toLabel, DEFAULT_TEMPO } from "./notation.js";
+import { resolveNoteFromLabel, labelForNote } from "./keyboard.js";
+import { groupChords } from "./grade.js";
+import { WAVEFORMS, getHarmonics } from "./timbre.js";
+import { DIFFICULTIES, puzzleMelody, puzzlePackToJSON, puzzlePackFromJSON, isValidPuzzle } from "./levels.js";
+import { download } from "./recordingFiles.js";
+import { ENCODINGS } from "./codecs.js";
+
+// melody syntax that isn't a key label (see notation.js)
+const NOTATION_CHARS = /[\s|[\]:/~\-@0-9.]/;
+
+/**
+ * Check a message against the keys as they are labelled right now.
+ * Returns { unplayable: [{ index, char }], error, events } where unplayable
+ * lists characters no key can produce, error is the notation problem (if the
+ * characters are fine) and events counts the notes and chords.
+ */
+export function validateMessage(text) {
+    const unplayable = [];
+    Array.from(String(text)).forEach((char, index) => {
+        if (isLabel(char) ? !resolveNoteFromLabel(toLabel(char)) : !NOTATION_CHARS.test(char)) {
+            unplayable.push({ index, char });
+        }
+    });
+    if (unplayable.length > 0) return { unplayable, error: null, events: 0 };
+
+    try {
+        return { unplayable, error: null, events: parseMelody(text).events.length };
+    } catch (err) {
+        return { unplayable, error: err.message, events: 0 };
+    }
+}
+
+// a key label as melody text: the gap key is '_', plus the octave when another key shares the label
+function melodyLabel(note, fallback) {
+    const label = labelForNote(note) || fallback;
+    const text = label === toLabel('_') ? '_' : label;
+    const octave = note.match(/\d+$/);
+    return resolveNoteFromLabel(label) === note || !octave ? text : text + octave[0];
+}
+
+/**
+ * Turn a recording ({ note, label, start, end } in seconds) into melody text:
+ * chords as [..], held notes and rests in whole beats at `tempo`.
+ */
+export function recordingToMelody(notes, tempo = DEFAULT_TEMPO) {
+    const beat = 60 / tempo;
+    const parts = [];
+    let lastEnd = null;
+    groupChords(notes.slice().sort((a, b) => a.start - b.start)).forEach(group => {
+        const start = group[0].start;
+        const rest = lastEnd == null ? 0 : Math.round((start - lastEnd) / beat);
+        if (rest > 0) parts.push(rest > 1 ? `-:${rest}` : '-');
+
+        const labels = group.map(e => melodyLabel(e.note, e.label));
+        const end = Math.max(...group.map(e => e.end));
+        const beats = Math.max(1, Math.round((end - start) / beat));
+        const text = labels.length > 1 ? `[${labels.join('')}]` : labels[0];
+        parts.push(beats > 1 ? `${text}:${beats}` : text);
+        lastEnd = Math.max(lastEnd != null ? lastEnd : 0, end);
+    });
+    return parts.join(' ');
+}
+
+// title -> id, e.g. "Some Other!" -> "some-other"
+function slug(title) {
+    return String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'puzzle';
+}
+
+/**
+ * param: container elem, getNotes() -> current recording,
+ *        preview(melody, encoding, timbre) to play a melody in the draft's sound
+ *        (which must not outlast the preview),
+ *        onLoadPack(puzzles) to play a loaded pack (throw to reject it)
+ */
+export function initEditorPanel(container, getNotes, preview, onLoadPack) {
+    const pack = [];
+
+    const status = document.createElement('div');
+    status.setAttribute('aria-live', 'polite');
+
+    const addField = (text, input) => {
+        const label = document.createElement('label');
+        label.textContent = text;
+        label.appendChild(input);
+        container.appendChild(label);
+        return input;
+    };
+    const textInput = (placeholder) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = placeholder;
+        return input;
+    };
+    const select = (values) => {
+        const el = document.createElement('select');
+        values.forEach(v => {
+            const option = document.createElement('option');
+            option.value = v;
+            option.textContent = v;
+            el.appendChild(option);
+        });
+        return el;
+    };
+    const addButton = (text, onClick) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.classList.add('btn');
+        btn.textContent = text;
+        btn.addEventListener('click', async () => {
+            try {
+                await onClick();
+            } catch (err) {
+                status.textContent = err.message;
+            }
+        });
+        container.appendChild(btn);
+        return btn;
+    };
+
+    const titleInput = addField('Title', textInput('Waves'));
+    const messageInput = addField('Message', textInput('WAVES  (_ is the gap key)'));
+    messageInput.spellcheck = false;
+
+    // the message again, one span per character, unplayable ones marked
+    const check = document.createElement('div');
+    check.classList.add('editor-check');
+    container.appendChild(check);
+
+    const hintInput = addField('Hint', textInput('optional'));
+    const difficultySelect = addField('Difficulty', select(DIFFICULTIES));
+    difficultySelect.value = 'medium';
+    const waveSelect = addField('Wave', select(WAVEFORMS));
+    waveSelect.value = 'sine';
+    const tempoInput = addField('Tempo (bpm)', document.createElement('input'));
+    tempoInput.type = 'number';
+    tempoInput.min = '30';
+    tempoInput.max = '300';
+    tempoInput.step = '1';
+    tempoInput.value = String(DEFAULT_TEMPO);
+    const encodingSelect = addField('Encoding', select(Object.keys(ENCODINGS)));
+    encodingSelect.value = 'direct';
+    const shiftInput = addField('Shift', document.createElement('input'));
+    shiftInput.type = 'number';
+    shiftInput.min = '1';
+    shiftInput.max = '25';
+    shiftInput.step = '1';
+    shiftInput.value = '3';
+    // only the Caesar encoding has a setting
+    const enableShift = () => { shiftInput.disabled = encodingSelect.value !== 'caesar'; };
+    encodingSelect.addEventListener('change', enableShift);
+    enableShift();
+
+    const tempo = () => {
+        const bpm = Number(tempoInput.value);
+        return bpm > 0 ? bpm : DEFAULT_TEMPO;
+    };
+
+    const validate = () => {
+        const text = messageInput.value;
+        const result = validateMessage(text);
+        const bad = new Set(result.unplayable.map(u => u.index));
+        check.innerHTML = '';
+        Array.from(text).forEach((char, i) => {
+            const span = document.createElement('span');
+            span.textContent = char;
+            if (bad.has(i)) {
+                span.classList.add('unplayable');
+                span.title = 'no key has this label';
+            }
+            check.appendChild(span);
+        });
+
+        messageInput.classList.toggle('invalid', bad.size > 0 || !!result.error);
+        if (bad.size > 0) {
+            const chars = [...new Set(result.unplayable.map(u => u.char))].map(c => `"${c}"`).join(' ');
+            status.textContent = `No key can play ${chars}`;
+        } else if (result.error) {
+            status.textContent = result.error;
+        } else {
+            status.textContent = text ? `${result.events} note${result.events === 1 ? '' : 's'} · ${pack.length} in pack` : `${pack.length} in pack`;
+        }
+        return result;
+    };
+    messageInput.addEventListener('input', validate);
+    // labels follow the tuning panel's range, so check again on the way back in
+    messageInput.addEventListener('focus', validate);
+
+    // the puzzle as it would go into the pack; throws while the message can't be played
+    const currentPuzzle = () => {
+        const result = validate();
+        if (!messageInput.value.trim()) throw new Error('Write or record a message first');
+        if (result.unplayable.length > 0 || result.error) throw new Error(status.textContent);
+
+        const title = titleInput.value.trim() || messageInput.value.trim();
+        let id = slug(title);
+        for (let n = 2; pack.some(p => p.id === id); n++) id = `${slug(title)}-${n}`;
+
+        const puzzle = {
+            id,
+            title,
+            melody: messageInput.value.trim(),
+            difficulty: difficultySelect.value,
+            tempo: tempo(),
+            timbre: waveSelect.value === 'custom'
+                ? { waveform: 'custom', harmonics: getHarmonics() }
+                : { waveform: waveSelect.value }
+        };
+        if (hintInput.value.trim()) puzzle.hint = hintInput.value.trim();
+        if (encodingSelect.value === 'caesar') puzzle.encoding = { scheme: 'caesar', shift: Number(shiftInput.value) };
+        else if (encodingSelect.value !== 'direct') puzzle.encoding = { scheme: encodingSelect.value };
+        if (!isValidPuzzle(puzzle)) throw new Error('Puzzle is incomplete');
+        return puzzle;
+    };
+
+    addButton('⏺ From recording', () => {
+        const notes = getNotes();
+        if (notes.length === 0) throw new Error('Nothing recorded yet');
+        messageInput.value = recordingToMelody(notes, tempo());
+        validate();
+    });
+    addButton('▶ Preview', () => {
+        const puzzle = currentPuzzle();
+        // a shuffle is seeded by the puzzle id in the game, so the preview is too
+        preview(puzzleMelody(puzzle), puzzle.encoding ? { seed: puzzle.id, ...puzzle.encoding } : null, puzzle.timbre);
+    });
+    addButton('+ Add to pack', () => {
+        const puzzle = currentPuzzle();
+        pack.push(puzzle);
+        messageInput.value = '';
+        titleInput.value = '';
+        hintInput.value = '';
+        validate();
+        status.textContent = `Added "${puzzle.title}" · ${pack.length} in pack`;
+    });
+    addButton('⬇ Export pack', () => {
+        if (pack.length === 0) throw new Error('Add a puzzle to the pack first');
+        download(new Blob([puzzlePackToJSON(pack)], { type: 'application/json' }), 'puzzles.json');
+        status.textContent = `Saved puzzles.json (${pack.length} puzzle${pack.length === 1 ? '' : 's'})`;
+    });
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.hidden = true;
+    container.appendChild(fileInput);
+    addButton('⬆ Load pack', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        try {
+            const puzzles = puzzlePackFromJSON(await file.text());
+            onLoadPack(puzzles);
+            status.textContent = `Playing ${puzzles.length} puzzle${puzzles.length === 1 ? '' : 's'} from ${file.name}`;
+        } catch (err) {
+            status.textContent = err.message;
+        }
+        fileInput.value = '';
+    });
+
+    container.appendChild(status);
+    validate();
+}
\ No newline at end of file
@@ -0,0 +1,236 @@
+/**
+ * @file    effects.js
+ * @brief   ScillyScope effects rack: filter, distortion, delay and reverb
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+// signal order in the rack; each effect has `on` (false = bypass) and its params
+export const EFFECT_ORDER = ['filter', 'distortion', 'delay', 'reverb'];
+
+export const DEFAULT_EFFECTS = {
+    filter: { on: false, type: 'lowpass', cutoff: 2000, q: 1 },
+    distortion: { on: false, drive: 20 },
+    delay: { on: false, time: 0.25, feedback: 0.35, mix: 0.3 },
+    reverb: { on: false, decay: 2, mix: 0.3 }
+};
+
+const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass'];
+
+// [min, max, step, unit] per numeric param
+const LIMITS = {
+    filter: { cutoff: [20, 20000, 1, 'Hz'], q: [0.1, 30, 0.1, ''] },
+    distortion: { drive: [0, 100, 1, ''] },
+    delay: { time: [0.01, 2, 0.01, 's'], feedback: [0, 0.95, 0.01, ''], mix: [0, 1, 0.01, ''] },
+    reverb: { decay: [0.1, 8, 0.1, 's'], mix: [0, 1, 0.01, ''] }
+};
+
+const RAMP = 0.02;           // s, smooths parameter changes
+const MAX_DELAY = 2;
+
+export const effects = JSON.parse(JSON.stringify(DEFAULT_EFFECTS));
+
+// events: 'change' (detail: a copy of every effect's settings)
+export const effectsEvents = new EventTarget();
+
+const racks = new Set();     // live racks to keep in step with `effects`
+
+// merge and clamp changes for one effect
+export function setEffect(name, changes) {
+    const current = effects[name];
+    if (!current) throw new Error(`Unknown effect "${name}"`);
+    if (changes.on != null) current.on = !!changes.on;
+    if (name === 'filter' && FILTER_TYPES.includes(changes.type)) current.type = changes.type;
+    Object.keys(LIMITS[name]).forEach(key => {
+        const v = Number(changes[key]);
+        if (changes[key] == null || !Number.isFinite(v)) return;
+        const [min, max] = LIMITS[name][key];
+        current[key] = Math.max(min, Math.min(max, v));
+    });
+    applyToRacks();
+}
+
+// replace every effect's settings (missing ones go back to the defaults)
+export function setAllEffects(all) {
+    EFFECT_ORDER.forEach(name => {
+        Object.assign(effects[name], DEFAULT_EFFECTS[name]);
+        if (all && all[name]) setEffect(name, all[name]);
+    });
+    applyToRacks();
+}
+
+export function getEffects() {
+    return JSON.parse(JSON.stringify(effects));
+}
+
+function applyToRacks() {
+    racks.forEach(rack => rack.apply());
+    effectsEvents.dispatchEvent(new CustomEvent('change', { detail: getEffects() }));
+}
+
+// decaying stereo noise: a plausible room without shipping an impulse file
+function makeImpulse(ctx, decay) {
+    const length = Math.max(1, Math.floor(ctx.sampleRate * decay));
+    const impulse = ctx.createBuffer(2, length, ctx.sampleRate);
+    for (let c = 0; c < 2; c++) {
+        const data = impulse.getChannelData(c);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+        }
+    }
+    return impulse;
+}
+
+// soft clipping; drive 0 is a straight line
+function makeCurve(drive) {
+    const k = drive / 10;
+    const curve = new Float32Array(1024);
+    for (let i = 0; i < curve.length; i++) {
+        const x = i / (curve.length - 1) * 2 - 1;
+        curve[i] = (1 + k) * x / (1 + k * Math.abs(x));
+    }
+    return curve;
+}
+
+// input -> [effect] -> wet -> output, with input -> dry -> output alongside
+function makeStage(ctx, processIn, processOut = processIn) {
+    const input = ctx.createGain();
+    const output = ctx.createGain();
+    const dry = ctx.createGain();
+    const wet = ctx.createGain();
+    input.connect(dry);
+    dry.connect(output);
+    input.connect(processIn);
+    processOut.connect(wet);
+    wet.connect(output);
+    return { input, output, dry, wet };
+}
+
+/**
+ * Build the rack on any context (live or offline) with the current settings.
+ * Returns { input, output, dispose }; live racks follow later setEffect calls
+ * until disposed.
+ */
+export function createEffectsRack(ctx) {
+    const filter = ctx.createBiquadFilter();
+    const shaper = ctx.createWaveShaper();
+    shaper.oversample = '4x';
+    const delay = ctx.createDelay(MAX_DELAY);
+    const feedback = ctx.createGain();
+    delay.connect(feedback);
+    feedback.connect(delay);
+    const convolver = ctx.createConvolver();
+
+    const stages = {
+        filter: makeStage(ctx, filter),
+        distortion: makeStage(ctx, shaper),
+        delay: makeStage(ctx, delay),
+        reverb: makeStage(ctx, convolver)
+    };
+    EFFECT_ORDER.slice(1).forEach((name, i) => stages[EFFECT_ORDER[i]].output.connect(stages[name].input));
+
+    let drive = null;
+    let decay = null;
+    const set = (param, value) => param.setTargetAtTime(value, ctx.currentTime, RAMP);
+    // inserts swap dry for wet; sends keep the dry signal and add `mix` of the effect
+    const insert = (stage, on) => {
+        set(stage.dry.gain, on ? 0 : 1);
+        set(stage.wet.gain, on ? 1 : 0);
+    };
+    const send = (stage, on, mix) => {
+        set(stage.dry.gain, 1);
+        set(stage.wet.gain, on ? mix : 0);
+    };
+
+    const rack = {
+        input: stages.filter.input,
+        output: stages.reverb.output,
+        apply() {
+            const { filter: f, distortion: d, delay: dl, reverb: r } = effects;
+            filter.type = f.type;
+            set(filter.frequency, f.cutoff);
+            set(filter.Q, f.q);
+            insert(stages.filter, f.on);
+
+            if (d.drive !== drive) {
+                drive = d.drive;
+                shaper.curve = makeCurve(drive);
+            }
+            insert(stages.distortion, d.on);
+
+            set(delay.delayTime, dl.time);
+            // no feedback while bypassed, so switching on doesn't replay old echoes
+            set(feedback.gain, dl.on ? dl.feedback : 0);
+            send(stages.delay, dl.on, dl.mix);
+
+            if (r.decay !== decay) {
+                decay = r.decay;
+                convolver.buffer = makeImpulse(ctx, decay);
+            }
+            send(stages.reverb, r.on, r.mix);
+        },
+        dispose() {
+            racks.delete(rack);
+        }
+    };
+    rack.apply();
+    racks.add(rack);
+    return rack;
+}
+
+// param: container elem; one fieldset per effect with a bypass checkbox and params
+export function initEffectsPanel(container) {
+    const inputs = [];   // [effect, key, input] to refresh on outside changes
+
+    EFFECT_ORDER.forEach(name => {
+        const fieldset = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        const onBox = document.createElement('input');
+        onBox.type = 'checkbox';
+        onBox.addEventListener('change', () => setEffect(name, { on: onBox.checked }));
+        legend.append(onBox, ' ' + name);
+        fieldset.appendChild(legend);
+        inputs.push([name, 'on', onBox]);
+
+        if (name === 'filter') {
+            const label = document.createElement('label');
+            label.textContent = 'type';
+            const select = document.createElement('select');
+            FILTER_TYPES.forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = type;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => setEffect(name, { type: select.value }));
+            label.appendChild(select);
+            fieldset.appendChild(label);
+            inputs.push([name, 'type', select]);
+        }
+
+        Object.keys(LIMITS[name]).forEach(key => {
+            const [min, max, step, unit] = LIMITS[name][key];
+            const label = document.createElement('label');
+            label.textContent = unit ? `${key} (${unit})` : key;
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = String(min);
+            input.max = String(max);
+            input.step = String(step);
+            input.addEventListener('change', () => setEffect(name, { [key]: input.value }));
+            label.appendChild(input);
+            fieldset.appendChild(label);
+            inputs.push([name, key, input]);
+        });
+
+        container.appendChild(fieldset);
+    });
+
+    const refresh = () => inputs.forEach(([name, key, input]) => {
+        if (key === 'on') input.checked = effects[name].on;
+        else input.value = String(effects[name][key]);
+    });
+    effectsEvents.addEventListener('change', refresh);
+    refresh();
+}
\ No newline at end of file
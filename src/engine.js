@@ -0,0 +1,275 @@
+/**
+ * @file    engine.js
+ * @brief   ScillyScope instance factory: scope, keyboard, recorder and grader on one audio graph
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { audioCtx as pageCtx, createAudioGraph } from "./audio.js";
+import { createVoicePlayer, createKeyboard, noteFrequency, labelForNote } from "./keyboard.js";
+import { createScheduler } from "./scheduler.js";
+import { createScopeRenderer } from "./scopeRenderer.js";
+import { parseMelody } from "./notation.js";
+import { gradeSequence, recordedAnswer } from "./grade.js";
+import { createCodec } from "./codecs.js";
+
+const MIN_NOTE = 0.05;     // a tap still plays for this long
+
+/**
+ * Create a ScillyScope. Nothing here looks up the page, so any number can
+ * share one document, and with no container it runs without a DOM at all
+ * (Node tests pass a fake AudioContext).
+ *
+ * options:
+ *   container  elem to build a scope screen and keyboard in (null: headless)
+ *   keyboard   existing keyboard elem to record from and highlight instead
+ *   audioCtx   context to play on (the page's by default)
+ *   graph, player  share an existing bus / held notes (see audio.js, keyboard.js);
+ *                  by default the instance gets its own
+ *   midi       mirror playback to the Web MIDI output
+ *
+ * Returns an EventTarget with the methods below. Events:
+ *   'noteon' / 'noteoff'  detail: { note, label, source: 'input' | 'playback' }
+ *                         (label is null for playback that hides the keys)
+ *   'recording'           detail: { notes, recording } whenever the take changes
+ *   'playbackend'         detail: { what: 'melody' | 'recording', reason: 'done' | 'stopped' }
+ *   'result'              detail: the gradeSequence() result (see grade.js)
+ */
+export function createScillyScope(options = {}) {
+    const ctx = options.graph ? options.graph.ctx : (options.audioCtx || pageCtx);
+    if (!ctx) throw new Error('createScillyScope needs an audioCtx outside the browser');
+
+    const ownGraph = !options.graph;
+    const graph = options.graph || createAudioGraph(ctx);
+    const player = options.player || createVoicePlayer(graph);
+    const scheduler = createScheduler(ctx, player, { midi: !!options.midi });
+    const scope = new EventTarget();
+
+    let melody = '';
+    let parsedMelody = parseMelody('');
+    let encoding = null;      // how the melody is played and the answer read (see codecs.js)
+    let codec = createCodec(null);
+    let recording = false;
+    let recordedNotes = [];   // { note, label, start, end } in seconds from record start
+    let recordStart = 0;
+    let playing = null;       // 'melody' | 'recording' while the scheduler has it
+    let keysHidden = false;   // the running playback keeps the keys dark (a codec's hideKeys)
+
+    function emit(type, detail) {
+        scope.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    // ensure the context is running (browsers start it suspended until a gesture)
+    function wake() {
+        if (ctx.state === 'suspended') ctx.resume();
+    }
+
+    function sortedRecording() {
+        return recordedNotes.slice().sort((a, b) => a.start - b.start);
+    }
+
+    function recordingChanged() {
+        emit('recording', { notes: recordedNotes.map(e => ({ ...e })), recording });
+    }
+
+    // scheduled notes come back out as playback note events
+    ['noteon', 'noteoff'].forEach(type => {
+        scheduler.events.addEventListener(type, (e) => {
+            emit(type, { note: e.detail.note, label: keysHidden ? null : labelForNote(e.detail.note), source: 'playback' });
+        });
+    });
+
+    // the captions go while the keys are hidden, so they can't give the melody away
+    function hideKeys(on) {
+        keysHidden = on;
+        if (scope.keyboard) scope.keyboard.classList.toggle('keys-hidden', on);
+    }
+
+    function runPlayback(what, items, done, hidden = false) {
+        wake();
+        scheduler.stop();   // ends whatever ran before, with its own playbackend
+        playing = what;
+        hideKeys(hidden);
+        scheduler.play(items, { onEnd: (reason) => {
+            playing = null;
+            hideKeys(false);
+            emit('playbackend', { what, reason });
+            if (done) done(reason);
+        } });
+    }
+
+    // a key went down on any input (pointer, computer keyboard, MIDI, mic)
+    scope.noteOn = (note, label = labelForNote(note) || '?') => {
+        if (!note) return;
+        emit('noteon', { note, label, source: 'input' });
+        if (!recording) return;
+        recordedNotes.push({ note, label, start: ctx.currentTime - recordStart, end: null });
+        recordingChanged();
+    };
+
+    scope.noteOff = (note) => {
+        emit('noteoff', { note, label: labelForNote(note), source: 'input' });
+        if (!recording) return;
+        const entry = recordedNotes.find(e => e.note === note && e.end == null);
+        if (!entry) return;
+        entry.end = ctx.currentTime - recordStart;
+        recordingChanged();
+    };
+
+    // the hidden message to play and grade against; throws NotationError if malformed
+    scope.setMelody = (text) => {
+        parsedMelody = parseMelody(text);
+        melody = String(text == null ? '' : text);
+    };
+
+    scope.getMelody = () => melody;
+
+    // how the melody is encoded, e.g. { scheme: 'morse' } (null: each label plays its key).
+    // Playing and grading both go through it; throws on an unknown scheme
+    scope.setEncoding = (next) => {
+        codec = createCodec(next);
+        encoding = next || null;
+        return codec;
+    };
+
+    scope.getEncoding = () => encoding;
+
+    // play the melody (or any other melody text, e.g. a preview, optionally in
+    // another encoding); throws NotationError
+    scope.play = (text = melody, how = encoding) => {
+        const parsed = text === melody ? parsedMelody : parseMelody(text);
+        const encoder = how === encoding ? codec : createCodec(how);
+        runPlayback('melody', encoder.encode(parsed), null, encoder.hideKeys);
+    };
+
+    // start or stop recording (toggles without an argument); returns whether it's on
+    scope.record = (on = !recording) => {
+        if (!!on === recording) return recording;
+        wake();
+        recording = !!on;
+        if (recording) {
+            recordedNotes = [];
+            recordStart = ctx.currentTime;
+        } else {
+            // close notes that are still held when recording stops
+            const now = ctx.currentTime - recordStart;
+            recordedNotes.forEach(e => { if (e.end == null) e.end = now; });
+        }
+        recordingChanged();
+        return recording;
+    };
+
+    scope.isRecording = () => recording;
+
+    // replay the performed rhythm from the first press; a complete playback is graded
+    // against the melody (when there is one). Returns false if there's nothing to play
+    scope.playRecording = () => {
+        if (recordedNotes.length === 0) return false;
+        const sorted = sortedRecording();
+        const firstStart = sorted[0].start;
+        const items = sorted.map(entry => ({
+            note: entry.note,
+            freq: noteFrequency(entry.note),
+            start: entry.start - firstStart,
+            duration: Math.max(MIN_NOTE, entry.end - entry.start)
+        })).filter(item => item.freq);
+
+        runPlayback('recording', items, (reason) => {
+            if (reason === 'done' && parsedMelody.events.length > 0) scope.grade();
+        });
+        return true;
+    };
+
+    // grade notes (the recording by default) against the melody as the
+    // encoding expects it answered, and emit 'result'
+    scope.grade = (notes = scope.getRecording()) => {
+        const result = gradeSequence(codec.expected(parsedMelody), recordedAnswer(notes));
+        emit('result', result);
+        return result;
+    };
+
+    scope.pause = () => scheduler.pause();
+    scope.resume = () => scheduler.resume();
+    scope.stop = () => scheduler.stop();
+
+    // 'stopped' | 'playing' | 'paused', and what the scheduler is playing
+    scope.playbackState = () => scheduler.getState();
+    scope.nowPlaying = () => playing;
+
+    // copy of the finished notes, e.g. for export (recordingFiles.js)
+    scope.getRecording = () => sortedRecording().filter(e => e.end != null).map(e => ({ ...e }));
+
+    // replace the recording with imported notes so it can be played back or graded
+    scope.loadRecording = (notes) => {
+        if (recording || playing) throw new Error('Stop recording and playback first');
+
+        // files from elsewhere may lack captions: take them from the keys
+        recordedNotes = notes.map(({ note, label, start, end }) => ({ note, label: label || labelForNote(note) || '?', start, end }));
+        recordingChanged();
+    };
+
+    scope.graph = graph;
+    scope.player = player;
+    scope.renderer = null;
+    scope.keyboard = options.keyboard || null;
+
+    // --- optional DOM: scope screen and keyboard ---
+    let root = null;
+    if (options.container) {
+        root = document.createElement('div');
+        root.classList.add('scilly-scope');
+        const canvas = document.createElement('canvas');
+        canvas.classList.add('scope-screen');
+        scope.keyboard = document.createElement('div');
+        scope.keyboard.classList.add('keyboard');
+        root.append(canvas, scope.keyboard);
+        options.container.appendChild(root);
+
+        createKeyboard(scope.keyboard, player);
+        scope.renderer = createScopeRenderer(canvas, graph);
+        scope.renderer.start();
+    }
+
+    if (scope.keyboard) {
+        const keyboardEl = scope.keyboard;
+        const keyOf = (ev) => ev.target.closest && ev.target.closest('.key');
+        keyboardEl.addEventListener('pointerdown', (ev) => {
+            const keyEl = keyOf(ev);
+            if (keyEl) scope.noteOn(keyEl.dataset.note, keyEl.textContent);
+        });
+        ['pointerup', 'pointerout', 'pointercancel'].forEach(type => {
+            keyboardEl.addEventListener(type, (ev) => {
+                const keyEl = keyOf(ev);
+                if (keyEl) scope.noteOff(keyEl.dataset.note);
+            });
+        });
+
+        // scheduled notes light their keys (the scope reads the voices from the graph)
+        const highlight = (note, on) => {
+            const keyEl = keyboardEl.querySelector(`.key[data-note="${note}"]`);
+            if (keyEl) keyEl.classList.toggle('active', on);
+        };
+        scope.addEventListener('noteon', (e) => {
+            if (e.detail.source === 'playback' && !keysHidden) highlight(e.detail.note, true);
+        });
+        scope.addEventListener('noteoff', (e) => {
+            if (e.detail.source === 'playback') highlight(e.detail.note, false);
+        });
+        scope.addEventListener('playbackend', () => {
+            keyboardEl.querySelectorAll('.key.active').forEach(k => k.classList.remove('active'));
+        });
+    }
+
+    // stop everything and take the instance's own elements and bus away
+    scope.destroy = () => {
+        scheduler.stop();
+        scope.record(false);
+        player.stopAll();
+        if (scope.renderer) scope.renderer.stop();
+        if (root) root.remove();
+        if (ownGraph) graph.dispose();
+    };
+
+    return scope;
+}
\ No newline at end of file
@@ -0,0 +1,90 @@
+/**
+ * @file    envelope.js
+ * @brief   ScillyScope ADSR envelope shared by voices, playback and scope
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+// times in seconds, sustain as a fraction of the note's peak level
+export const envelope = {
+    attack: 0.01,
+    decay: 0.1,
+    sustain: 0.8,
+    release: 0.5
+};
+
+const FLOOR = 0.001; // exponential ramps can't reach zero
+
+const LIMITS = {
+    attack: [0.001, 2],
+    decay: [0, 2],
+    sustain: [0, 1],
+    release: [0.01, 4]
+};
+
+export function setEnvelope(params) {
+    Object.keys(LIMITS).forEach(key => {
+        const v = Number(params[key]);
+        if (params[key] == null || !Number.isFinite(v)) return;
+        const [min, max] = LIMITS[key];
+        envelope[key] = Math.max(min, Math.min(max, v));
+    });
+}
+
+// level of a held note `elapsed` seconds after note on (attack, decay, sustain)
+export function envelopeLevel(elapsed, peak) {
+    const { attack, decay, sustain } = envelope;
+    if (elapsed <= 0) return 0;
+    if (elapsed < attack) return peak * (elapsed / attack);
+    if (elapsed < attack + decay) {
+        return peak * (1 - (1 - sustain) * ((elapsed - attack) / decay));
+    }
+    return peak * sustain;
+}
+
+// level `elapsed` seconds into the release, starting from `from`
+export function releaseLevel(elapsed, from) {
+    if (from <= FLOOR || elapsed >= envelope.release) return 0;
+    if (elapsed <= 0) return from;
+    return from * Math.pow(FLOOR / from, elapsed / envelope.release);
+}
+
+// schedule attack, decay and sustain on a gain AudioParam
+export function applyAttack(param, peak, when) {
+    const { attack, decay, sustain } = envelope;
+    param.cancelScheduledValues(when);
+    param.setValueAtTime(0, when);
+    param.linearRampToValueAtTime(peak, when + attack);
+    param.linearRampToValueAtTime(peak * sustain, when + attack + decay);
+}
+
+// schedule the release from `level` (the envelope value at `when`); returns the end time
+export function applyRelease(param, when, level) {
+    const end = when + envelope.release;
+    param.cancelScheduledValues(when);
+    param.setValueAtTime(Math.max(level, FLOOR), when);
+    param.exponentialRampToValueAtTime(FLOOR, end);
+    return end;
+}
+
+// param: container elem that receives one number input per stage
+export function initEnvelopePanel(container) {
+    Object.keys(LIMITS).forEach(key => {
+        const [min, max] = LIMITS[key];
+        const label = document.createElement('label');
+        label.textContent = key === 'sustain' ? key : key + ' (s)';
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = String(min);
+        input.max = String(max);
+        input.step = key === 'sustain' ? '0.05' : '0.01';
+        input.value = String(envelope[key]);
+        input.addEventListener('change', () => {
+            setEnvelope({ [key]: input.value });
+            input.value = String(envelope[key]);
+        });
+        label.appendChild(input);
+        container.appendChild(label);
+    });
+}
\ No newline at end of file
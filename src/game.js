@@ -6,30 +6,344 @@
  * @date    20 Nov 2025
  */
 
-import { createKeyboard } from "./keyboard.js";
-import { drawScope } from "./scopeRenderer.js";
-import { initBtns, record, playRecording, recordKeyPresses, playMelody } from "./playRecord.js";
+import { createKeyboard, createGradeFlash, initComputerKeys, heldNotes, labelForNote, defaultPlayer } from "./keyboard.js";
+import { initTimbrePanel, getTimbre, setTimbre, restoreOwnTimbre } from "./timbre.js";
+import { initEnvelopePanel } from "./envelope.js";
+import { initEffectsPanel, effectsEvents, setAllEffects } from "./effects.js";
+import { initMidiPanel } from "./midi.js";
+import { initTuningPanel, setLabelOverride } from "./tuning.js";
+import { startMic, stopMic, isMicOn } from "./pitch.js";
+import { initScope, setScopeMode, getScopeMode, SCOPE_MODES, initScopePanel, setXYTarget } from "./scopeRenderer.js";
+import { isLissajousPuzzle, gradeInterval } from "./lissajous.js";
+import { initPlayRecord, record, playRecording, playMelody, stopPlayback } from "./playRecord.js";
+import { createScillyScope } from "./engine.js";
+import { initRecordingPanel } from "./recordingFiles.js";
+import { defaultPuzzles, levelEvents, loadPuzzles, currentPuzzle, levelCount, useHint, submitResult, getAllStats, restoreStats, puzzleMelody } from "./levels.js";
+import { initEditorPanel } from "./editor.js";
+import { createCodec } from "./codecs.js";
+import { defaultGraph, setVolume, bindVolumeSlider, setMuted, isMuted, initMeter } from "./audio.js";
+import { loadSave, updateSave, initStoragePanel } from "./storage.js";
+import { fetchPuzzles, submitAttempt, fetchLeaderboard } from "./api.js";
 
-const keyboard = createKeyboard();
-drawScope();
+const keyboard = createKeyboard(document.getElementById('keyboard'));
+initScope(document.getElementById('scope-screen'));
+
+// the page's instance plays through the default bus and keys, so the volume
+// slider, meter, effects and MIDI all act on it
+const scope = createScillyScope({ graph: defaultGraph, player: defaultPlayer, keyboard, midi: true });
+initMeter(document.getElementById('level-meter'));
+
+const muteBtn = document.getElementById('mute-button');
+muteBtn.addEventListener('click', () => {
+    setMuted(!isMuted());
+    muteBtn.setAttribute('aria-pressed', String(isMuted()));
+    muteBtn.textContent = isMuted() ? '🔇' : '🔊';
+});
+
+initTimbrePanel(document.getElementById('waveform-select'), document.getElementById('harmonics-controls'));
+initEnvelopePanel(document.getElementById('envelope-controls'));
+initScopePanel(document.getElementById('scope-controls'));
+initEffectsPanel(document.getElementById('effects-controls'));
+initTuningPanel(document.getElementById('tuning-controls'), relabelKeys);
 
 // --- recording / playback UI elements ---
 const playButton = document.getElementById('play-button');
 const recordBtn = document.getElementById('record-button');
 const playBottomBtn = document.getElementById('play-bottom-button');
+const stopBtn = document.getElementById('stop-button');
+
+initPlayRecord(scope, {
+    display: document.getElementById('recorded-sequence'),
+    status: document.getElementById('result-display'),
+    playButton, recordBtn, playBottomBtn, stopBtn
+});
+initRecordingPanel(document.getElementById('recording-controls'), scope.getRecording, scope.loadRecording);
+// the editor previews in the draft's timbre, then the level's comes back
+function previewMelody(melody, encoding, timbre) {
+    if (scope.nowPlaying() === 'melody') return playMelody(melody, encoding);  // pause / resume
+    const levelTimbre = getTimbre();
+    setTimbre(timbre);
+    playMelody(melody, encoding);
+    if (scope.nowPlaying() === 'melody') {
+        scope.addEventListener('playbackend', () => setTimbre(levelTimbre), { once: true });
+    } else {
+        setTimbre(levelTimbre);
+    }
+}
+
+initEditorPanel(document.getElementById('editor-controls'), scope.getRecording, previewMelody, (list) => {
+    // a pack from the editor replaces the list; its ids aren't on the score server
+    puzzleList = list;
+    apiOnline = false;
+    loadPuzzles(list);
+});
+
+// --- saved settings / progress ---
+const saved = loadSave();
+
+// replaced by the server's list once it answers (see loadPuzzleList below)
+let puzzleList = defaultPuzzles;
+let apiOnline = false;
+bindVolumeSlider(document.getElementById('volume-slider'), volume => updateSave({ volume }));
+setVolume(saved.volume);
+restoreStats(saved.stats);
+
+initStoragePanel(document.getElementById('storage-controls'), scope.getRecording, scope.loadRecording, () => {
+    setVolume(0.5);
+    restoreStats({});
+    loadPuzzles(puzzleList);
+});
+
+effectsEvents.addEventListener('change', (e) => {
+    const puzzle = currentPuzzle();
+    if (puzzle) updateSave({ effects: { ...loadSave().effects, [puzzle.id]: e.detail } });
+});
+
+// --- level / puzzle progression ---
+const levelDisplay = document.getElementById('level-display');
+const resultDisplay = document.getElementById('result-display');
+const hintBtn = document.getElementById('hint-button');
+
+levelEvents.addEventListener('levelchange', (e) => {
+    const { index, puzzle, complete } = e.detail;
+    updateSave({ level: index, levelId: puzzle ? puzzle.id : null });
+    // effects are kept per puzzle; a puzzle may also ship its own starting rack
+    if (puzzle) setAllEffects(loadSave().effects[puzzle.id] || puzzle.effects);
+    // a puzzle may be written for a particular sound (see editor.js); otherwise the player's own
+    if (puzzle && puzzle.timbre) setTimbre(puzzle.timbre);
+    else restoreOwnTimbre();
+    // interval puzzles are played on the XY view against a ghost of the target
+    const lissajous = isLissajousPuzzle(puzzle);
+    // the shuffle is seeded per level unless the puzzle gives its own seed
+    setEncoding(puzzle && puzzle.encoding ? { seed: puzzle.id, ...puzzle.encoding } : null);
+    setAnswer(puzzle && !lissajous ? puzzle.melody : '');
+    setXYTarget(lissajous ? puzzle.ratio : null);
+    if (lissajous) showScopeMode('xy');
+    if (complete) {
+        levelDisplay.textContent = 'All messages decoded!';
+    } else {
+        levelDisplay.textContent = `Level ${index + 1}/${levelCount()}` + (puzzle.difficulty ? ` · ${puzzle.difficulty}` : '');
+    }
+    playButton.disabled = complete;
+    hintBtn.disabled = complete;
+});
+
+levelEvents.addEventListener('attempt', (e) => {
+    const { success, time, grade, stats } = e.detail;
+    updateSave({ stats: getAllStats() });
+    const tries = stats.attempts === 1 ? '1 attempt' : `${stats.attempts} attempts`;
+    resultDisplay.classList.toggle('success', success);
+    resultDisplay.classList.toggle('fail', !success);
+    resultDisplay.textContent = success
+        ? `✔ Decoded in ${time.toFixed(1)} s (${tries}, best ${stats.bestTime.toFixed(1)} s). `
+        : `✘ ${Math.round(grade.accuracy * 100)}% — ${tries} so far. `;
+    showGradeDiff(grade);
+    reportAttempt(e.detail);
+});
+
+// send the attempt to the score API; a solve also shows the puzzle's leaderboard
+async function reportAttempt({ puzzle, success, time, grade, stats }) {
+    if (!apiOnline) return;
+    try {
+        await submitAttempt({
+            puzzleId: puzzle.id,
+            player: loadSave().player || 'anonymous',
+            success,
+            accuracy: grade.accuracy,
+            time,
+            hintsUsed: stats.hintsUsed
+        });
+        if (!success) return;
+        const top = await fetchLeaderboard(puzzle.id);
+        const line = document.createElement('span');
+        line.classList.add('leaderboard');
+        line.textContent = ' Top: ' + top.map(t => `${t.player} ${t.time.toFixed(1)} s`).join(' · ');
+        resultDisplay.appendChild(line);
+    } catch (err) {
+        console.warn('Score not sent:', err.message);
+    }
+}
+
+// --- per-note feedback: letters in the recorded sequence + flashing keys ---
+const recordedSequence = document.getElementById('recorded-sequence');
+const gradeFlash = createGradeFlash(keyboard);
+
+function keyCaption(note) {
+    return (note && labelForNote(note)) || '?';
+}
 
-initBtns(playButton, recordBtn, playBottomBtn);
+function showGradeDiff(grade) {
+    // a new grade replaces the last one, keys included
+    gradeFlash.show(grade.ops);
+    recordedSequence.textContent = '';
+    grade.ops.forEach(op => {
+        const span = document.createElement('span');
+        span.classList.add('grade-' + op.type);
+        if (op.type === 'wrong') {
+            span.textContent = keyCaption(op.actual);
+            span.title = op.expected ? `expected ${keyCaption(op.expected)}` : 'wrong';
+        } else {
+            span.textContent = keyCaption(op.actual || op.expected);
+            span.title = op.type;
+        }
+        recordedSequence.appendChild(span);
+    });
+}
 
-// multiple melodies defined by the letters printed on the keys
-const melodies = ['WAVES', 'WATER', 'SOME\u2423OTHER'];
-let currentMelodyIndex = 0;
-let curMelody = melodies[currentMelodyIndex];
+// --- scope mode: ideal wave -> real signal -> spectrum -> spectrogram -> XY ---
+const scopeModeBtn = document.getElementById('scope-mode-button');
+const SCOPE_MODE_LABELS = {
+    synth: '∿ Ideal',
+    signal: '∿ Signal',
+    spectrum: '▁▃▇ Spectrum',
+    spectrogram: '▒ Spectrogram',
+    xy: '➰ XY'
+};
 
-playButton.addEventListener('click', () => playMelody(curMelody));
+function showScopeMode(mode) {
+    setScopeMode(mode);
+    scopeModeBtn.setAttribute('aria-pressed', String(mode !== 'synth'));
+    scopeModeBtn.textContent = SCOPE_MODE_LABELS[mode];
+}
+
+scopeModeBtn.addEventListener('click', () => {
+    showScopeMode(SCOPE_MODES[(SCOPE_MODES.indexOf(getScopeMode()) + 1) % SCOPE_MODES.length]);
+});
+
+// puzzles come from the API in server.js; opened from a plain static host
+// (or offline) the built-in set in levels.js is used instead
+async function loadPuzzleList() {
+    try {
+        const list = await fetchPuzzles();
+        if (!Array.isArray(list) || list.length === 0) throw new Error('empty puzzle list');
+        puzzleList = list;
+        apiOnline = true;
+    } catch (err) {
+        console.warn('Using built-in puzzles:', err.message);
+    }
+    // resume where the player left off; the id survives a reordered puzzle list
+    const savedIndex = puzzleList.findIndex(p => p.id === saved.levelId);
+    loadPuzzles(puzzleList, savedIndex >= 0 ? savedIndex : saved.level);
+}
+loadPuzzleList();
+
+hintBtn.addEventListener('click', () => {
+    const hint = useHint();
+    if (!hint) return;
+    resultDisplay.classList.remove('success', 'fail');
+    resultDisplay.textContent = 'Hint: ' + hint;
+});
+
+playButton.addEventListener('click', () => {
+    const puzzle = currentPuzzle();
+    if (!puzzle) return;
+    if (isLissajousPuzzle(puzzle)) {
+        showScopeMode('xy');
+        resultDisplay.classList.remove('success', 'fail');
+        resultDisplay.textContent = 'Hold two keys whose figure matches the dashed one.';
+        return;
+    }
+    playMelody(puzzleMelody(puzzle));
+});
+stopBtn.addEventListener('click', stopPlayback);
 recordBtn.addEventListener('click', record);
-keyboard.addEventListener('pointerdown', recordKeyPresses);
-playBottomBtn.addEventListener('click', () => playRecording(curMelody, handleResult));
+initComputerKeys(keyboard, { onPress: scope.noteOn, onRelease: scope.noteOff });
+initMidiPanel(document.getElementById('midi-controls'), keyboard, { onPress: scope.noteOn, onRelease: scope.noteOff });
+
+// with every level solved (or an interval puzzle) the melody is empty: the take
+// just plays back. Otherwise a complete playback is graded and lands here
+playBottomBtn.addEventListener('click', playRecording);
+scope.addEventListener('result', (e) => handleResult(e.detail));
+
+// interval puzzles are graded live, the moment a second key joins the first
+scope.addEventListener('noteon', (e) => {
+    if (e.detail.source !== 'input') return;
+    const puzzle = currentPuzzle();
+    if (!isLissajousPuzzle(puzzle)) return;
+    const held = heldNotes();
+    if (held.length === 2) handleResult(gradeInterval(puzzle.ratio, held));
+});
+
+// --- microphone: sung / whistled notes go through the recording path ---
+const micBtn = document.getElementById('mic-button');
+
+function micKey(note) {
+    return keyboard.querySelector(`.key[data-note="${note}"]`);
+}
+
+const micHandlers = {
+    onPress: (note, label) => {
+        scope.noteOn(note, label);
+        const keyEl = micKey(note);
+        if (keyEl) keyEl.classList.add('mic-heard');
+    },
+    onRelease: (note) => {
+        scope.noteOff(note);
+        const keyEl = micKey(note);
+        if (keyEl) keyEl.classList.remove('mic-heard');
+    },
+    onPitch: (freq, key) => {
+        if (!key) {
+            micBtn.textContent = '🎤 listening';
+            return;
+        }
+        const cents = Math.round(key.cents);
+        micBtn.textContent = `🎤 ${key.label} ${cents >= 0 ? '+' : ''}${cents}¢`;
+    }
+};
+
+micBtn.addEventListener('click', async () => {
+    if (isMicOn()) {
+        stopMic(micHandlers);
+        micBtn.setAttribute('aria-pressed', 'false');
+        micBtn.textContent = '🎤 Mic';
+        return;
+    }
+    try {
+        await startMic(keyboard, micHandlers);
+        micBtn.setAttribute('aria-pressed', 'true');
+        micBtn.textContent = '🎤 listening';
+    } catch (err) {
+        showError(err);
+    }
+});
+
+function showError(err) {
+    resultDisplay.classList.remove('success', 'fail');
+    resultDisplay.textContent = err.message;
+}
+
+// how the level's melody is played and read back (see codecs.js); a bad one plays it directly.
+// A solve moves on in the same tick, so keys whose captions stay are kept, grade flash and all
+function setEncoding(encoding) {
+    const before = createCodec(scope.getEncoding()).labels();
+    try {
+        scope.setEncoding(encoding);
+    } catch (err) {
+        showError(err);
+        scope.setEncoding(null);
+    }
+    const after = createCodec(scope.getEncoding()).labels();
+    if (JSON.stringify(before) !== JSON.stringify(after)) relabelKeys();
+}
+
+// rebuild the keys with the encoding's captions (a shuffle moves them), else the configured ones
+function relabelKeys() {
+    setLabelOverride(createCodec(scope.getEncoding()).labels());
+    createKeyboard(keyboard);
+    gradeFlash.reapply();
+}
+
+// the melody the recording is graded against; a bad one from the server grades nothing
+function setAnswer(melody) {
+    try {
+        scope.setMelody(melody);
+    } catch (err) {
+        showError(err);
+        scope.setMelody('');
+    }
+}
 
-function handleResult(result) {
-    console.log(result);
+function handleResult(grade) {
+    submitResult(grade);
 }
\ No newline at end of file
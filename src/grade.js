@@ -0,0 +1,93 @@
+/**
+ * @file    grade.js
+ * @brief   ScillyScope answer grading with per-note diff
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+/**
+ * Align the recorded notes with the expected ones (edit distance) and
+ * report every position as 'correct', 'wrong', 'missing' or 'extra'.
+ *
+ * Returns { success, accuracy, counts, ops } where ops are in playing order:
+ *   { type, expected, actual }  (expected/actual are notes or null)
+ * accuracy is correct / (expected + extra), so padding an answer costs points.
+ */
+export function gradeSequence(expected, actual) {
+    const n = expected.length;
+    const m = actual.length;
+
+    // dist[i][j]: edits to turn expected[0..i) into actual[0..j)
+    const dist = Array.from({ length: n + 1 }, (_, i) => {
+        const row = new Array(m + 1).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j <= m; j++) dist[0][j] = j;
+
+    for (let i = 1; i <= n; i++) {
+        for (let j = 1; j <= m; j++) {
+            const cost = expected[i - 1] === actual[j - 1] ? 0 : 1;
+            dist[i][j] = Math.min(
+                dist[i - 1][j - 1] + cost,  // match / substitution
+                dist[i - 1][j] + 1,         // missing
+                dist[i][j - 1] + 1          // extra
+            );
+        }
+    }
+
+    // walk back from the corner, preferring match/substitution on ties
+    const ops = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && dist[i][j] === dist[i - 1][j - 1] + (expected[i - 1] === actual[j - 1] ? 0 : 1)) {
+            const same = expected[i - 1] === actual[j - 1];
+            ops.push({ type: same ? 'correct' : 'wrong', expected: expected[i - 1], actual: actual[j - 1] });
+            i--;
+            j--;
+        } else if (i > 0 && dist[i][j] === dist[i - 1][j] + 1) {
+            ops.push({ type: 'missing', expected: expected[i - 1], actual: null });
+            i--;
+        } else {
+            ops.push({ type: 'extra', expected: null, actual: actual[j - 1] });
+            j--;
+        }
+    }
+    ops.reverse();
+
+    const counts = { correct: 0, wrong: 0, missing: 0, extra: 0 };
+    ops.forEach(op => { counts[op.type]++; });
+
+    const total = n + counts.extra;
+    const accuracy = total > 0 ? counts.correct / total : 0;
+
+    return {
+        success: n > 0 && counts.correct === n && counts.extra === 0,
+        accuracy,
+        counts,
+        ops
+    };
+}
+
+// presses closer than this count as one chord
+export const CHORD_WINDOW = 0.05;
+
+// split recorded notes { note, start } (sorted by start) into chords of near-simultaneous presses
+export function groupChords(sorted) {
+    const groups = [];
+    sorted.forEach(e => {
+        const group = groups[groups.length - 1];
+        if (group && e.start - group[0].start < CHORD_WINDOW) group.push(e);
+        else groups.push([e]);
+    });
+    return groups;
+}
+
+// a recording as the flat answer gradeSequence() expects: chords compare as
+// sorted groups, matching expectedNotes() in notation.js
+export function recordedAnswer(notes) {
+    const sorted = notes.slice().sort((a, b) => a.start - b.start);
+    return groupChords(sorted).flatMap(group => group.map(e => e.note).sort());
+}
\ No newline at end of file
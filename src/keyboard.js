@@ -6,184 +6,383 @@
  * @date    20 Nov 2025
  */
 
-import { audioCtx, volume, analyser, setVars, clearVars } from "./audio.js";
-
-// --- sustain note handling ---
-const activeNotes = {};
-
-// param: keyboard elem
-export function createKeyboard() {
-    const keyboard = document.getElementById('keyboard');
-
-    const whiteNotes = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
-    const blackMap = {
-        'C': 'C#',
-        'D': 'D#',
-        'F': 'F#',
-        'G': 'G#',
-        'A': 'A#'
-    };
-
-    // --- define range ---
-    const startOctave = 2;
-    const endOctave = 4;
-    const startNoteName = 'A';
-    const endNoteName = 'B';
-
-    // label pool: A..Z once, then one visible space symbol U+2423 (␣)
-    const labelPool = [...'ABCDEFGHIJKLMNOPQRSTUVWXYZ', '\u2423'];
-    let labelIndex = 0;
-
-    for (let octave = startOctave; octave <= endOctave; octave++) {
-        for (let i = 0; i < whiteNotes.length; i++) {
-            const note = whiteNotes[i];
-
-            // Skip notes before A2
-            if (octave === startOctave && whiteNotes.indexOf(note) < whiteNotes.indexOf(startNoteName)) {
-                continue;
+import { defaultGraph } from "./audio.js";
+import { applyTimbre } from "./timbre.js";
+import { applyAttack, applyRelease, envelopeLevel } from "./envelope.js";
+import { keyboardConfig, keyLabel, parseNote, tunedFrequency, NOTE_NAMES } from "./tuning.js";
+
+// physical keys currently held: KeyboardEvent.code -> { keyEl, player }
+const heldKeys = {};
+
+const WHITE_NOTES = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const BLACK_MAP = {
+    'C': 'C#',
+    'D': 'D#',
+    'F': 'F#',
+    'G': 'G#',
+    'A': 'A#'
+};
+
+// every key in keyboardConfig's range, lowest first, with its label:
+// [{ note, name, octave, black, label }]. No DOM, so it works headless too
+export function keyLayout() {
+    // --- define range (white keys, see tuning.js) ---
+    const start = parseNote(keyboardConfig.startNote);
+    const end = parseNote(keyboardConfig.endNote);
+    const keys = [];
+
+    for (let octave = start.octave; octave <= end.octave; octave++) {
+        WHITE_NOTES.forEach(name => {
+            // Skip notes before the start key / after the end key
+            if (octave === start.octave && WHITE_NOTES.indexOf(name) < WHITE_NOTES.indexOf(start.name)) return;
+            if (octave === end.octave && WHITE_NOTES.indexOf(name) > WHITE_NOTES.indexOf(end.name)) return;
+
+            // labels come from keyboardConfig.labels, one per key in key order
+            keys.push({ note: name + octave, name, octave, black: false, label: keyLabel(name + octave, keys.length) });
+
+            // black key above, unless this is the end key
+            if (BLACK_MAP[name] && !(octave === end.octave && name === end.name)) {
+                const black = BLACK_MAP[name];
+                keys.push({ note: black + octave, name: black, octave, black: true, label: keyLabel(black + octave, keys.length) });
             }
-            // Skip notes after B4
-            if (octave === endOctave && whiteNotes.indexOf(note) > whiteNotes.indexOf(endNoteName)) {
-                continue;
-            }
-
-            const wrapper = document.createElement('div');
-            wrapper.classList.add('key-wrapper');
+        });
+    }
+    return keys;
+}
 
-            const whiteKey = document.createElement('div');
-            whiteKey.classList.add('key');
-            const fullNote = note + octave;
-            whiteKey.dataset.note = fullNote;
-
-            // visible label from pool (A..Z once, plus U+2423 for the extra key)
-            const label = labelPool[labelIndex] || '\u2423';
-            whiteKey.textContent = label;
-            whiteKey.setAttribute('aria-label', label);
-
-            // press/release events
-            whiteKey.addEventListener('mousedown', () => startNote(fullNote, getFrequency(note, octave)));
-            whiteKey.addEventListener('mouseup', () => stopNote(fullNote));
-            whiteKey.addEventListener('mouseleave', () => stopNote(fullNote));
-            whiteKey.addEventListener('touchstart', (e) => {
-                e.preventDefault();
-                startNote(fullNote, getFrequency(note, octave));
-            });
-            whiteKey.addEventListener('touchend', () => stopNote(fullNote));
-
-            wrapper.appendChild(whiteKey);
-            labelIndex++; // consume one label
-
-            // Add black keys if they exist in this octave
-            if (blackMap[note]) {
-                const blackNote = blackMap[note];
-                const blackKey = document.createElement('div');
-                blackKey.classList.add('key', 'black');
-                const fullBlackNote = blackNote + octave;
-                blackKey.dataset.note = fullBlackNote;
-
-                // visible label for black key from pool
-                const blackLabel = labelPool[labelIndex] || '\u2423';
-                blackKey.textContent = blackLabel;
-                blackKey.setAttribute('aria-label', blackLabel);
-
-                blackKey.addEventListener('mousedown', () => startNote(fullBlackNote, getFrequency(blackNote, octave)));
-                blackKey.addEventListener('mouseup', () => stopNote(fullBlackNote));
-                blackKey.addEventListener('mouseleave', () => stopNote(fullBlackNote));
-                blackKey.addEventListener('touchstart', (e) => {
-                    e.preventDefault();
-                    startNote(fullBlackNote, getFrequency(blackNote, octave));
-                });
-                blackKey.addEventListener('touchend', () => stopNote(fullBlackNote));
-
-                wrapper.appendChild(blackKey);
-                labelIndex++; // consume one label
-            }
+// visible label of a data-note (null if there's no such key)
+export function labelForNote(note) {
+    const key = keyLayout().find(k => k.note === note);
+    return key ? key.label : null;
+}
 
+// param: keyboard elem (the page's #keyboard by default), voice player to sound the keys
+// (re)builds the keys from keyboardConfig, so call again after changing it
+export function createKeyboard(keyboard = document.getElementById('keyboard'), player = defaultPlayer) {
+    // release anything held on the old keys before replacing them
+    player.stopAll();
+    keyboard.innerHTML = '';
+
+    let wrapper = null;
+    keyLayout().forEach(({ note, name, octave, black, label }) => {
+        const keyEl = document.createElement('div');
+        keyEl.classList.add('key');
+        if (black) keyEl.classList.add('black');
+        keyEl.dataset.note = note;
+
+        // visible label from the configured mapping
+        keyEl.textContent = label;
+        keyEl.setAttribute('aria-label', label);
+
+        // press/release events: pointer events reach the key before they bubble
+        // to the keyboard, so the note is already held when listeners there
+        // (recording, interval grading) hear about the press
+        const freq = getFrequency(name, octave);
+        keyEl.addEventListener('pointerdown', () => player.startNote(note, freq));
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+            keyEl.addEventListener(type, () => player.stopNote(note));
+        });
+
+        // a black key shares the wrapper of the white key below it
+        if (!black) {
+            wrapper = document.createElement('div');
+            wrapper.classList.add('key-wrapper');
             keyboard.appendChild(wrapper);
         }
-    }
+        wrapper.appendChild(keyEl);
+    });
 
     return keyboard;
 }
 
-export function startNote(note, freq) {
-	const osc = audioCtx.createOscillator();
-	const gain = audioCtx.createGain();
+/**
+ * Grade feedback on the keys of one keyboard elem: show(ops) lights the key of
+ * each gradeSequence() op ('grade-correct', 'grade-wrong', ...) for `ms`.
+ * Lit keys are kept by note, so reapply() carries them over to keys rebuilt by
+ * createKeyboard() in the meantime. Returns { show, reapply, clear }.
+ */
+export function createGradeFlash(keyboard, ms = 2500) {
+    let lit = [];       // [note, class] from the last grade
+    let timer = null;
+
+    const light = (on) => lit.forEach(([note, cls]) => {
+        const keyEl = keyboard.querySelector(`.key[data-note="${note}"]`);
+        if (keyEl) keyEl.classList.toggle(cls, on);
+    });
+
+    const clear = () => {
+        clearTimeout(timer);
+        timer = null;
+        light(false);
+        lit = [];
+    };
+
+    // a new grade replaces the last one; a missing note lights the key that should have been pressed
+    const show = (ops) => {
+        clear();
+        lit = ops.map(op => [op.type === 'missing' ? op.expected : op.actual, 'grade-' + op.type])
+            .filter(([note]) => note);
+        light(true);
+        timer = setTimeout(clear, ms);
+    };
 
-	osc.type = 'sine';
+    return { show, reapply: () => light(true), clear };
+}
+
+// oscillator -> EQ -> gain on any context (live or offline); the caller
+// connects `gain` onwards and drives the envelope on gain.gain
+export function createVoiceChain(ctx, freq) {
+	const osc = ctx.createOscillator();
+	const gain = ctx.createGain();
+
+	applyTimbre(osc);
 	osc.frequency.value = freq;
 
 	// EQ: gentle bass lift
-	const lowshelf = audioCtx.createBiquadFilter();
+	const lowshelf = ctx.createBiquadFilter();
 	lowshelf.type = 'lowshelf';
 	lowshelf.frequency.value = 150;
 	lowshelf.gain.value = 5; // subtle boost
 
 	osc.connect(lowshelf);
 	lowshelf.connect(gain);
-	gain.connect(audioCtx.destination);
-	gain.connect(analyser);
 
-	const now = audioCtx.currentTime;
-	const attack = 0.01;
+	return { osc, gain };
+}
 
-	gain.gain.setValueAtTime(0, now);
-	gain.gain.linearRampToValueAtTime(volume, now + attack);
+/**
+ * Held and scheduled voices on one audio graph (see createAudioGraph).
+ * Returns { startNote, stopNote, stopAll, scheduleNote, cancelScheduledNote, heldNotes }.
+ */
+export function createVoicePlayer(graph) {
+	const ctx = graph.ctx;
 
-	osc.start(now);
+	// --- sustain note handling ---
+	const activeNotes = {};
 
-	activeNotes[note] = { osc, gain };
+	// oscillator -> lowshelf -> gain, wired to the master bus and the XY view;
+	// xyChannel: which axis of the XY view this voice drives (0 = X, 1 = Y)
+	function createVoice(freq, xyChannel = 0) {
+		const { osc, gain } = createVoiceChain(ctx, freq);
 
-    setVars(freq);
-}
+		gain.connect(graph.busInput);
+		gain.connect(graph.xyInput, 0, xyChannel);
 
-export function stopNote(note) {
-	const entry = activeNotes[note];
-	if (!entry) return;
+		return { osc, gain };
+	}
+
+	// velocity 0..1 is the voice's peak (MIDI input); mouse/keys play at 1.
+	// The master volume is applied on the bus, live (audio.js)
+	function startNote(note, freq, velocity = 1) {
+		// retriggering a held note releases the old voice first
+		if (activeNotes[note]) stopNote(note);
+
+		// first held note drives X, the second Y, so two keys draw a Lissajous figure
+		const usedChannels = Object.values(activeNotes).map(v => v.xyChannel);
+		const xyChannel = usedChannels.includes(0) && !usedChannels.includes(1) ? 1 : 0;
+
+		const { osc, gain } = createVoice(freq, xyChannel);
+		const peak = velocity;
+
+		const now = ctx.currentTime;
+		applyAttack(gain.gain, peak, now);
+
+		osc.start(now);
+
+		activeNotes[note] = graph.addVoice({ osc, gain, start: now, peak, xyChannel, freq, releaseAt: Infinity, releaseFrom: 0, end: Infinity });
+	}
+
+	// play a note at an exact audio time; independent of the live activeNotes
+	function scheduleNote(freq, when, duration, xyChannel = 0) {
+		const { osc, gain } = createVoice(freq, xyChannel);
+
+		applyAttack(gain.gain, 1, when);
+		osc.start(when);
 
-	const { osc, gain } = entry;
-	const now = audioCtx.currentTime;
-	const release = 0.5;
+		const releaseAt = when + duration;
+		const releaseFrom = envelopeLevel(duration, 1);
+		const end = applyRelease(gain.gain, releaseAt, releaseFrom);
+		osc.stop(end);
 
-	// smooth release
-	gain.gain.cancelScheduledValues(now);
-	gain.gain.setValueAtTime(gain.gain.value, now);
-	gain.gain.exponentialRampToValueAtTime(0.001, now + release);
+		return graph.addVoice({ osc, gain, start: when, releaseAt, releaseFrom, end, peak: 1, freq });
+	}
+
+	// cut a scheduled voice short: drop it if it hasn't started, else release now
+	function cancelScheduledNote(voice) {
+		const now = ctx.currentTime;
+		if (now >= voice.end) return;
+
+		if (now < voice.start) {
+			voice.osc.stop(now);
+			voice.gain.disconnect();
+			graph.removeVoice(voice);
+			return;
+		}
+		if (now < voice.releaseAt) {
+			voice.releaseFrom = envelopeLevel(now - voice.start, voice.peak);
+			voice.releaseAt = now;
+			voice.end = applyRelease(voice.gain.gain, now, voice.releaseFrom);
+			voice.osc.stop(voice.end);
+		}
+	}
+
+	// notes sounding right now, oldest first: [{ note, freq }]
+	function heldNotes() {
+		return Object.entries(activeNotes)
+			.sort((a, b) => a[1].start - b[1].start)
+			.map(([note, v]) => ({ note, freq: v.freq }));
+	}
 
-	// stop both oscillators after release
-	osc.stop(now + release);
+	function stopNote(note) {
+		const entry = activeNotes[note];
+		if (!entry) return;
 
-	delete activeNotes[note];
+		const { osc, gain, start, peak } = entry;
+		const now = ctx.currentTime;
 
-	// visual: shrink using lastFreq, only flatline at zero
-	if (Object.keys(activeNotes).length === 0) {
-        clearVars();
+		// smooth release from wherever the envelope is right now; the voice stays
+		// in the graph's list (and on the scope) until the release has finished
+		entry.releaseFrom = envelopeLevel(now - start, peak);
+		entry.releaseAt = now;
+		entry.end = applyRelease(gain.gain, now, entry.releaseFrom);
+
+		// stop the oscillator after release
+		osc.stop(entry.end);
+
+		delete activeNotes[note];
 	}
+
+	function stopAll() {
+		Object.keys(activeNotes).forEach(stopNote);
+	}
+
+	return { startNote, stopNote, stopAll, scheduleNote, cancelScheduledNote, heldNotes };
+}
+
+// --- default player ---
+// the page's keys, MIDI and microphone all play through this one (null outside a browser)
+export const defaultPlayer = defaultGraph ? createVoicePlayer(defaultGraph) : null;
+
+export function startNote(note, freq, velocity) {
+	defaultPlayer.startNote(note, freq, velocity);
+}
+
+export function scheduleNote(freq, when, duration, xyChannel) {
+	return defaultPlayer.scheduleNote(freq, when, duration, xyChannel);
+}
+
+export function cancelScheduledNote(voice) {
+	defaultPlayer.cancelScheduledNote(voice);
+}
+
+export function heldNotes() {
+	return defaultPlayer.heldNotes();
 }
 
+export function stopNote(note) {
+	defaultPlayer.stopNote(note);
+}
+
+// tuning and reference pitch come from tuning.js
 export function getFrequency(note, octave) {
-	const A4 = 440;
-	const noteOrder = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-	const index = noteOrder.indexOf(note);
+	const index = NOTE_NAMES.indexOf(note);
 	const keyNumber = index + (octave * 12);
-	return A4 * Math.pow(2, (keyNumber - 57) / 12);
+	return tunedFrequency(keyNumber - 57);
+}
+
+// helper: frequency of a data-note such as "C#4" (null if malformed)
+export function noteFrequency(note) {
+	const m = String(note).match(/^([A-G]#?)(\d+)$/);
+	return m ? getFrequency(m[1], parseInt(m[2], 10)) : null;
+}
+
+// helper: closest note name to a frequency, e.g. 442 -> { name: 'A4', cents: 7.9 }
+export function noteNameForFrequency(freq) {
+	let best = { name: '?', cents: 0 };
+	let bestDist = Infinity;
+	for (let octave = 0; octave <= 8; octave++) {
+		NOTE_NAMES.forEach(name => {
+			const cents = 1200 * Math.log2(freq / getFrequency(name, octave));
+			if (Math.abs(cents) < bestDist) {
+				bestDist = Math.abs(cents);
+				best = { name: name + octave, cents };
+			}
+		});
+	}
+	return best;
 }
 
 // helper: find a data-note (e.g. "C4") from a visible key label
 export function resolveNoteFromLabel(label, preferredOctave) {
-	if (!keyboard || !label) return null;
+	if (!label) return null;
 	const wanted = String(label).trim().toUpperCase();
-	const keys = Array.from(keyboard.querySelectorAll('.key'));
-	const matches = keys.filter(k => ((k.textContent || k.innerText) || '').trim().toUpperCase() === wanted);
+	const matches = keyLayout().filter(k => k.label.trim().toUpperCase() === wanted);
 	if (matches.length === 0) return null;
 	if (preferredOctave != null) {
-		const byOctave = matches.find(k => {
-			const dn = k.dataset.note || k.getAttribute('data-note') || '';
-			return dn.endsWith(String(preferredOctave));
-		});
-		if (byOctave) return byOctave.dataset.note || byOctave.getAttribute('data-note');
+		const byOctave = matches.find(k => k.octave === Number(preferredOctave));
+		if (byOctave) return byOctave.note;
 	}
 	// fallback to first match
-	const el = matches[0];
-	return el.dataset.note || el.getAttribute('data-note') || null;
+	return matches[0].note;
+}
+
+// map a KeyboardEvent to a visible key label: letters, space -> ␣
+function labelFromKeyEvent(e) {
+	if (e.code === 'Space') return '\u2423';
+	if (/^[a-z]$/i.test(e.key)) return e.key.toUpperCase();
+	return null;
+}
+
+// leave keys to a focused form control; a focused button only keeps space
+// (so it still clicks), letters play on after clicking e.g. Record
+function isControlTarget(el, e) {
+	if (!el || !el.tagName) return false;
+	if (el.isContentEditable) return true;
+	const tag = el.tagName.toUpperCase();
+	if (tag === 'BUTTON') return e.code === 'Space';
+	return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+}
+
+// param: keyboard elem; handlers.onPress(note, label) / handlers.onRelease(note)
+// let the computer keyboard play the key with the matching label
+export function initComputerKeys(keyboardEl, handlers = {}, player = defaultPlayer) {
+	window.addEventListener('keydown', (e) => {
+		if (e.ctrlKey || e.metaKey || e.altKey || isControlTarget(e.target, e)) return;
+		const label = labelFromKeyEvent(e);
+		if (!label) return;
+
+		// space would otherwise scroll the page
+		e.preventDefault();
+		if (e.repeat || heldKeys[e.code]) return;
+
+		const keyEl = Array.from(keyboardEl.querySelectorAll('.key'))
+			.find(k => (k.textContent || '').trim().toUpperCase() === label);
+		if (!keyEl) return;
+
+		const note = keyEl.dataset.note;
+		heldKeys[e.code] = { keyEl, player };
+		keyEl.classList.add('active');
+		player.startNote(note, noteFrequency(note));
+		if (handlers.onPress) handlers.onPress(note, keyEl.textContent);
+	});
+
+	window.addEventListener('keyup', (e) => {
+		if (!heldKeys[e.code]) return;
+		e.preventDefault();
+		releaseHeldKey(e.code, handlers);
+	});
+
+	// keyup never arrives if focus leaves the page mid-press
+	window.addEventListener('blur', () => {
+		Object.keys(heldKeys).forEach(code => releaseHeldKey(code, handlers));
+	});
+}
+
+function releaseHeldKey(code, handlers) {
+	const { keyEl, player } = heldKeys[code];
+	const note = keyEl.dataset.note;
+	delete heldKeys[code];
+	keyEl.classList.remove('active');
+	player.stopNote(note);
+	if (handlers.onRelease) handlers.onRelease(note);
 }
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * @file    levels.js
+ * @brief   ScillyScope puzzle progression: current level, attempts, hints, best times
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { parseMelody, NotationError } from "./notation.js";
+import { isLissajousPuzzle } from "./lissajous.js";
+import { WAVEFORMS } from "./timbre.js";
+import { isValidEncoding } from "./codecs.js";
+import builtInPuzzles from "./puzzles.json" with { type: "json" };
+
+// hidden messages in play order (puzzles.json, which the server seeds from too);
+// melody uses the notation in notation.js.
+// type 'lissajous' puzzles have no melody: hold two keys whose X:Y figure
+// matches `ratio` (see lissajous.js). Optional: difficulty (DIFFICULTIES),
+// tempo (bpm the melody starts at), timbre { waveform, harmonics? }, effects and
+// encoding { scheme, ... } for how the message is played (see codecs.js)
+export const defaultPuzzles = builtInPuzzles;
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+export function isValidPuzzle(p) {
+    if (!p || !p.id) return false;
+    if (p.difficulty != null && !DIFFICULTIES.includes(p.difficulty)) return false;
+    if (p.tempo != null && !(p.tempo > 0)) return false;
+    if (p.timbre != null && !(p.timbre && WAVEFORMS.includes(p.timbre.waveform))) return false;
+    if (p.encoding != null && !isValidEncoding(p.encoding)) return false;
+    if (isLissajousPuzzle(p)) return Array.isArray(p.ratio) && p.ratio.length === 2 && p.ratio.every(n => Number.isInteger(n) && n > 0);
+    return typeof p.melody === 'string';
+}
+
+// the melody as played: a puzzle's tempo goes in front as '@bpm'
+export function puzzleMelody(puzzle) {
+    if (!puzzle || typeof puzzle.melody !== 'string') return '';
+    return puzzle.tempo ? `@${puzzle.tempo} ${puzzle.melody}` : puzzle.melody;
+}
+
+// --- puzzle pack files (written by the editor, see editor.js) ---
+const PACK_FORMAT = 'scillyscope-puzzles';
+const PACK_VERSION = 1;
+
+export function puzzlePackToJSON(list) {
+    return JSON.stringify({ format: PACK_FORMAT, version: PACK_VERSION, puzzles: list }, null, 2);
+}
+
+// accepts the exported object or a bare puzzle array; throws on anything unplayable
+export function puzzlePackFromJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Puzzle pack is not valid JSON');
+    }
+    if (data && !Array.isArray(data)) {
+        if (data.format !== PACK_FORMAT) throw new Error('Not a ScillyScope puzzle pack');
+        if (data.version > PACK_VERSION) throw new Error(`Puzzle pack version ${data.version} is newer than this game`);
+    }
+    const list = Array.isArray(data) ? data : data && data.puzzles;
+    if (!Array.isArray(list) || list.length === 0) throw new Error('Puzzle pack has no puzzles');
+
+    const ids = new Set();
+    list.forEach((p, i) => {
+        if (!isValidPuzzle(p)) throw new Error(`Puzzle ${i + 1} in the pack is incomplete or malformed`);
+        if (ids.has(p.id)) throw new Error(`Puzzle id "${p.id}" is used twice`);
+        ids.add(p.id);
+        if (isLissajousPuzzle(p)) return;
+        try {
+            parseMelody(puzzleMelody(p));
+        } catch (err) {
+            throw new Error(`Puzzle "${p.id}": ${err.message}`);
+        }
+    });
+    return list;
+}
+
+// events: 'levelchange' (detail: { index, puzzle, complete }),
+// 'attempt' (detail: { puzzle, success, time, grade, stats })
+export const levelEvents = new EventTarget();
+
+let puzzles = [];
+let levelIndex = 0;
+let stats = {};           // puzzle id -> { attempts, hintsUsed, bestTime, bestAccuracy, solved }
+let levelStartedAt = 0;   // ms, performance.now() when the level was shown
+
+function emit(type, detail) {
+    levelEvents.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+function statsFor(id) {
+    if (!stats[id]) stats[id] = { attempts: 0, hintsUsed: 0, bestTime: null, bestAccuracy: 0, solved: false };
+    return stats[id];
+}
+
+// param: ordered puzzle list, optional level to start on
+export function loadPuzzles(list, startIndex = 0) {
+    puzzles = list.filter(isValidPuzzle);
+    goToLevel(startIndex);
+}
+
+export function goToLevel(index) {
+    levelIndex = Math.max(0, Math.min(index, puzzles.length));
+    levelStartedAt = performance.now();
+    emit('levelchange', { index: levelIndex, puzzle: currentPuzzle(), complete: isComplete() });
+}
+
+export function nextLevel() {
+    goToLevel(levelIndex + 1);
+}
+
+// null once every puzzle is solved
+export function currentPuzzle() {
+    return puzzles[levelIndex] || null;
+}
+
+export function currentLevel() {
+    return levelIndex;
+}
+
+export function levelCount() {
+    return puzzles.length;
+}
+
+export function isComplete() {
+    return levelIndex >= puzzles.length;
+}
+
+export function getStats(id) {
+    return { ...statsFor(id) };
+}
+
+// every puzzle's stats, keyed by id (for saving)
+export function getAllStats() {
+    return JSON.parse(JSON.stringify(stats));
+}
+
+// put saved stats back; unknown fields fall back to the defaults
+export function restoreStats(saved) {
+    stats = {};
+    Object.entries(saved || {}).forEach(([id, s]) => {
+        stats[id] = { ...statsFor(id), ...s };
+    });
+}
+
+// reveal the hint for the current puzzle (first label if none was written)
+export function useHint() {
+    const puzzle = currentPuzzle();
+    if (!puzzle) return null;
+    statsFor(puzzle.id).hintsUsed++;
+    if (puzzle.hint) return puzzle.hint;
+    if (isLissajousPuzzle(puzzle)) return null;
+    let first;
+    try {
+        first = parseMelody(puzzle.melody).events[0];
+    } catch (err) {
+        // a malformed melody (server, loaded pack) has no first label to give away
+        if (err instanceof NotationError) return null;
+        throw err;
+    }
+    return first ? `It starts with ${first.labels[0]}.` : null;
+}
+
+// count a graded answer (see grade.js) for the current puzzle; a success moves on
+export function submitResult(grade) {
+    const puzzle = currentPuzzle();
+    if (!puzzle) return null;
+
+    const success = !!grade.success;
+    const s = statsFor(puzzle.id);
+    s.attempts++;
+    s.bestAccuracy = Math.max(s.bestAccuracy, grade.accuracy || 0);
+    let time = null;
+    if (success) {
+        time = (performance.now() - levelStartedAt) / 1000;
+        s.bestTime = s.bestTime == null ? time : Math.min(s.bestTime, time);
+        s.solved = true;
+    }
+
+    emit('attempt', { puzzle, success, time, grade, stats: { ...s } });
+    if (success) nextLevel();
+    return { puzzle, success, time, grade, stats: { ...s } };
+}
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * @file    lissajous.js
+ * @brief   ScillyScope Lissajous figures and interval puzzles
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+// equal temperament misses 5/4 by ~14 cents, so allow a little more than that
+export const RATIO_TOLERANCE_CENTS = 20;
+
+/**
+ * Points of the figure x = sin(a t + phase), y = sin(b t), t over one full
+ * period. Coordinates are -1..1. a:b is the X:Y frequency ratio.
+ */
+export function lissajousPoints(a, b, count = 400, phase = Math.PI / 4) {
+    const points = [];
+    for (let i = 0; i <= count; i++) {
+        const t = i / count * 2 * Math.PI;
+        points.push({ x: Math.sin(a * t + phase), y: Math.sin(b * t) });
+    }
+    return points;
+}
+
+// [3, 2] -> "3:2"
+export function ratioLabel(ratio) {
+    return ratio.join(':');
+}
+
+export function isLissajousPuzzle(puzzle) {
+    return !!puzzle && puzzle.type === 'lissajous';
+}
+
+/**
+ * Grade two held notes against a target ratio; either note may be the higher.
+ * param: ratio [a, b], held [{ note, freq }, { note, freq }]
+ * Returns the same shape as gradeSequence (grade.js) plus `cents`, the error
+ * of the played interval, so levels and the result line treat it alike.
+ */
+export function gradeInterval(ratio, held) {
+    const [first, second] = held;
+    const target = Math.max(ratio[0], ratio[1]) / Math.min(ratio[0], ratio[1]);
+    const played = Math.max(first.freq, second.freq) / Math.min(first.freq, second.freq);
+    const cents = 1200 * Math.log2(played / target);
+
+    const success = Math.abs(cents) <= RATIO_TOLERANCE_CENTS;
+    // a semitone off is worth nothing
+    const accuracy = Math.max(0, 1 - Math.max(0, Math.abs(cents) - RATIO_TOLERANCE_CENTS) / 100);
+    const type = success ? 'correct' : 'wrong';
+
+    return {
+        success,
+        accuracy: success ? 1 : accuracy,
+        counts: { correct: success ? 2 : 0, wrong: success ? 0 : 2, missing: 0, extra: 0 },
+        ops: held.map(h => ({ type, expected: null, actual: h.note })),
+        cents
+    };
+}
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * @file    midi.js
+ * @brief   ScillyScope Web MIDI input and output
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { audioCtx } from "./audio.js";
+import { startNote, stopNote, noteFrequency } from "./keyboard.js";
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xB0;
+const ALL_NOTES_OFF = 123;
+
+let midiAccess = null;
+let midiOut = null;
+let sentNotes = [];       // { num, on, off } timestamps (ms) of notes sent to midiOut
+
+// MIDI note number -> data-note, e.g. 69 -> "A4"
+export function midiToNote(n) {
+    return NOTE_NAMES[n % 12] + (Math.floor(n / 12) - 1);
+}
+
+// data-note -> MIDI note number, e.g. "C4" -> 60 (null if malformed)
+export function noteToMidi(note) {
+    const m = String(note).match(/^([A-G]#?)(\d+)$/);
+    if (!m) return null;
+    return NOTE_NAMES.indexOf(m[1]) + (parseInt(m[2], 10) + 1) * 12;
+}
+
+/**
+ * Ask for MIDI access and listen to every input, now and when plugged in later.
+ * param: keyboard elem (notes without a key are ignored),
+ *        handlers.onPress(note, label) / handlers.onRelease(note),
+ *        requestAccess defaults to navigator.requestMIDIAccess (pass a mock in tests)
+ * Resolves to the MIDIAccess object.
+ */
+export async function initMidi(keyboardEl, handlers = {}, requestAccess) {
+    const request = requestAccess || (navigator.requestMIDIAccess && navigator.requestMIDIAccess.bind(navigator));
+    if (!request) throw new Error('Web MIDI is not supported in this browser');
+
+    midiAccess = await request();
+
+    const listen = () => {
+        midiAccess.inputs.forEach(input => {
+            input.onmidimessage = (e) => handleMessage(e.data, keyboardEl, handlers);
+        });
+    };
+    listen();
+    midiAccess.addEventListener('statechange', listen);
+
+    return midiAccess;
+}
+
+function handleMessage(data, keyboardEl, handlers) {
+    const [status, noteNum, velocity] = data;
+    const cmd = status & 0xF0;
+    if (cmd !== NOTE_ON && cmd !== NOTE_OFF) return;
+
+    const note = midiToNote(noteNum);
+    const keyEl = keyboardEl.querySelector(`.key[data-note="${note}"]`);
+    if (!keyEl) return;
+
+    // note on with velocity 0 is the common running-status note off
+    if (cmd === NOTE_ON && velocity > 0) {
+        startNote(note, noteFrequency(note), velocity / 127);
+        if (handlers.onPress) handlers.onPress(note, keyEl.textContent);
+    } else {
+        stopNote(note);
+        if (handlers.onRelease) handlers.onRelease(note);
+    }
+}
+
+export function listMidiOutputs() {
+    if (!midiAccess) return [];
+    return Array.from(midiAccess.outputs.values()).map(o => ({ id: o.id, name: o.name }));
+}
+
+// param: output port id, or null to play through the synth only
+export function setMidiOutput(id) {
+    midiOut = (midiAccess && id) ? (midiAccess.outputs.get(id) || null) : null;
+    sentNotes = [];
+}
+
+// send a note to the selected output, timed against the audio clock
+export function sendMidiNote(note, when, duration, velocity = 100) {
+    if (!midiOut) return;
+    const num = noteToMidi(note);
+    if (num == null) return;
+
+    // MIDI timestamps are on the performance.now() clock
+    const now = performance.now();
+    const at = now + Math.max(0, when - audioCtx.currentTime) * 1000;
+    midiOut.send([NOTE_ON, num, velocity], at);
+    midiOut.send([NOTE_OFF, num, 0], at + duration * 1000);
+
+    sentNotes = sentNotes.filter(n => n.off > now);
+    sentNotes.push({ num, on: at, off: at + duration * 1000 });
+}
+
+// drop anything still queued and silence the port (stop / pause).
+// Most browsers don't implement clear(), so a note-on already queued would
+// still sound after All Notes Off: every unfinished note also gets a
+// note-off of its own, no earlier than its note-on
+export function midiAllNotesOff() {
+    if (!midiOut) return;
+    if (midiOut.clear) midiOut.clear();
+    const now = performance.now();
+    sentNotes.filter(n => n.off > now).forEach(n => {
+        midiOut.send([NOTE_OFF, n.num, 0], Math.max(now, n.on));
+    });
+    sentNotes = [];
+    midiOut.send([CONTROL_CHANGE, ALL_NOTES_OFF, 0]);
+}
+
+// param: container elem for the connect button, status line and output picker
+export function initMidiPanel(container, keyboardEl, handlers) {
+    const connectBtn = document.createElement('button');
+    connectBtn.type = 'button';
+    connectBtn.classList.add('btn');
+    connectBtn.textContent = 'Connect MIDI';
+
+    const status = document.createElement('div');
+    status.setAttribute('aria-live', 'polite');
+    status.textContent = 'not connected';
+
+    const label = document.createElement('label');
+    label.textContent = 'Out';
+    const outSelect = document.createElement('select');
+    label.appendChild(outSelect);
+
+    const fillOutputs = () => {
+        const current = outSelect.value;
+        outSelect.innerHTML = '';
+        [{ id: '', name: 'none' }, ...listMidiOutputs()].forEach(o => {
+            const option = document.createElement('option');
+            option.value = o.id;
+            option.textContent = o.name;
+            outSelect.appendChild(option);
+        });
+        outSelect.value = listMidiOutputs().some(o => o.id === current) ? current : '';
+        setMidiOutput(outSelect.value);
+    };
+    fillOutputs();
+
+    outSelect.addEventListener('change', () => setMidiOutput(outSelect.value));
+
+    connectBtn.addEventListener('click', async () => {
+        try {
+            const access = await initMidi(keyboardEl, handlers);
+            const count = access.inputs.size;
+            status.textContent = `${count} input${count === 1 ? '' : 's'} connected`;
+            access.addEventListener('statechange', fillOutputs);
+            fillOutputs();
+            connectBtn.disabled = true;
+        } catch (err) {
+            status.textContent = err.message || 'MIDI access denied';
+        }
+    });
+
+    container.append(connectBtn, status, label);
+}
\ No newline at end of file
@@ -0,0 +1,166 @@
+/**
+ * @file    notation.js
+ * @brief   ScillyScope melody notation parser
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ *
+ * A melody is a string of key labels with optional extras:
+ *
+ *   W A V E S        letters are key labels (whitespace and '|' only separate)
+ *   _                shorthand for the ␣ key
+ *   A4               digit after a label = preferred octave
+ *   A:2  A:1/2       duration in beats (default 1)
+ *   [ACE]:2          chord, labels inside may carry octaves
+ *   -  -:2           rest
+ *   A:1~A:1          tie, the second note extends the first
+ *   @90              tempo in beats per minute (default 120, so 1 beat = 0.5 s)
+ *
+ * Plain strings like 'WAVES' therefore still play one label per beat. Unlike
+ * the first player, a space is not a pause: 'A B' plays like 'AB', and a gap
+ * is written 'A - B'. The built-in melodies never had spaces, so they sound
+ * as they did.
+ */
+
+export const DEFAULT_TEMPO = 120;
+
+const SPACE_LABEL = '␣';
+
+export class NotationError extends SyntaxError {
+    constructor(message, index) {
+        super(`${message} at position ${index + 1}`);
+        this.name = 'NotationError';
+        this.index = index;
+    }
+}
+
+export function isLabel(ch) {
+    return /^[A-Za-z_]$/.test(ch) || ch === SPACE_LABEL;
+}
+
+export function toLabel(ch) {
+    return ch === '_' ? SPACE_LABEL : ch.toUpperCase();
+}
+
+/**
+ * Parse melody text into timed events.
+ * Returns { tempo, length, events: [{ labels, octaves, beats, start, duration }] }
+ * where start/duration are seconds and tempo is the tempo at the end of the melody.
+ */
+export function parseMelody(text) {
+    const src = Array.from(String(text == null ? '' : text));
+    let i = 0;
+    let tempo = DEFAULT_TEMPO;
+    let time = 0;          // seconds
+    let tiedFrom = null;   // event waiting for its tie continuation
+    const events = [];
+
+    const peek = () => src[i];
+
+    function readNumber(what) {
+        const from = i;
+        while (i < src.length && /[0-9.]/.test(src[i])) i++;
+        const raw = src.slice(from, i).join('');
+        const n = Number(raw);
+        if (!raw || !Number.isFinite(n)) {
+            throw new NotationError(`Expected ${what} but found ${describe(src[from])}`, from);
+        }
+        return n;
+    }
+
+    function readDuration() {
+        if (peek() !== ':') return 1;
+        const at = i++;
+        let beats = readNumber('a duration after \':\'');
+        if (peek() === '/') {
+            i++;
+            const div = readNumber('a divisor after \'/\'');
+            if (div === 0) throw new NotationError('Duration divides by zero', at);
+            beats /= div;
+        }
+        if (beats <= 0) throw new NotationError('Duration must be greater than zero', at);
+        return beats;
+    }
+
+    function readOctave() {
+        return /[0-9]/.test(peek() || '') ? Number(src[i++]) : null;
+    }
+
+    function addNotes(labels, octaves, beats, at) {
+        const duration = beats * 60 / tempo;
+        const tie = peek() === '~';
+        if (tie) i++;
+
+        if (tiedFrom) {
+            if (tiedFrom.labels.join() !== labels.join()) {
+                throw new NotationError(`Tie must continue with ${tiedFrom.labels.join('')} but found ${labels.join('')}`, at);
+            }
+            tiedFrom.beats += beats;
+            tiedFrom.duration += duration;
+        } else {
+            const ev = { labels, octaves, beats, start: time, duration };
+            events.push(ev);
+            if (tie) tiedFrom = ev;
+        }
+        if (!tie) tiedFrom = null;
+        time += duration;
+    }
+
+    while (i < src.length) {
+        const ch = src[i];
+        const at = i;
+
+        if (/\s/.test(ch) || ch === '|') {
+            i++;
+        } else if (isLabel(ch)) {
+            i++;
+            const octave = readOctave();
+            addNotes([toLabel(ch)], [octave], readDuration(), at);
+        } else if (ch === '[') {
+            i++;
+            const labels = [];
+            const octaves = [];
+            while (peek() !== ']') {
+                if (i >= src.length) throw new NotationError('Unclosed chord \'[\'', at);
+                if (/\s/.test(peek())) { i++; continue; }
+                if (!isLabel(peek())) {
+                    throw new NotationError(`Unexpected ${describe(peek())} inside chord`, i);
+                }
+                labels.push(toLabel(src[i++]));
+                octaves.push(readOctave());
+            }
+            i++; // ']'
+            if (labels.length === 0) throw new NotationError('Empty chord', at);
+            addNotes(labels, octaves, readDuration(), at);
+        } else if (ch === '-') {
+            if (tiedFrom) throw new NotationError('A tie cannot continue into a rest', at);
+            i++;
+            time += readDuration() * 60 / tempo;
+        } else if (ch === '@') {
+            i++;
+            const bpm = readNumber('a tempo after \'@\'');
+            if (bpm <= 0) throw new NotationError('Tempo must be greater than zero', at);
+            tempo = bpm;
+        } else {
+            throw new NotationError(`Unexpected ${describe(ch)}`, at);
+        }
+    }
+
+    if (tiedFrom) throw new NotationError('Tie \'~\' has no note to continue into', src.length - 1);
+
+    return { tempo, length: time, events };
+}
+
+function describe(ch) {
+    return ch == null ? 'end of melody' : `'${ch}'`;
+}
+
+// flat note list for answer checking: chords are sorted so press order doesn't matter
+export function expectedNotes(parsed, resolve) {
+    const notes = [];
+    parsed.events.forEach(ev => {
+        const group = ev.labels.map((label, k) => resolve(label, ev.octaves[k])).filter(Boolean);
+        notes.push(...group.sort());
+    });
+    return notes;
+}
\ No newline at end of file
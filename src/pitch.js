@@ -0,0 +1,161 @@
+/**
+ * @file    pitch.js
+ * @brief   ScillyScope microphone input with YIN pitch detection
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { audioCtx } from "./audio.js";
+import { noteFrequency } from "./keyboard.js";
+
+const YIN_THRESHOLD = 0.15;   // lower = stricter about what counts as a pitch
+const MIN_FREQ = 60;          // Hz, roughly the lowest sung note
+const MAX_FREQ = 1500;        // Hz, covers whistling
+const MIN_RMS = 0.01;         // quieter input is treated as silence
+const MAX_CENTS = 50;         // further than this from every key = no key
+const STABLE_FRAMES = 3;      // frames a note must persist before it counts
+const POLL_MS = 30;
+
+/**
+ * YIN pitch detector. Works on any Float32Array, so it can be fed generated
+ * buffers offline. Returns { freq, clarity } (clarity 0..1) or null for
+ * silence / noise.
+ */
+export function detectPitch(buffer, sampleRate) {
+    let rms = 0;
+    for (let i = 0; i < buffer.length; i++) rms += buffer[i] * buffer[i];
+    if (Math.sqrt(rms / buffer.length) < MIN_RMS) return null;
+
+    const span = Math.floor(buffer.length / 2);
+    const minTau = Math.max(2, Math.floor(sampleRate / MAX_FREQ));
+    const maxTau = Math.min(span - 1, Math.ceil(sampleRate / MIN_FREQ));
+    if (maxTau <= minTau) return null;
+
+    // difference function, then cumulative mean normalised difference
+    const cmnd = new Float32Array(maxTau + 1);
+    cmnd[0] = 1;
+    let runningSum = 0;
+    for (let tau = 1; tau <= maxTau; tau++) {
+        let d = 0;
+        for (let j = 0; j < span; j++) {
+            const diff = buffer[j] - buffer[j + tau];
+            d += diff * diff;
+        }
+        runningSum += d;
+        cmnd[tau] = runningSum > 0 ? d * tau / runningSum : 1;
+    }
+
+    // first dip under the threshold, followed down to its local minimum
+    let tau = -1;
+    for (let t = minTau; t <= maxTau; t++) {
+        if (cmnd[t] < YIN_THRESHOLD) {
+            while (t + 1 <= maxTau && cmnd[t + 1] < cmnd[t]) t++;
+            tau = t;
+            break;
+        }
+    }
+    if (tau < 0) return null;
+
+    // parabolic interpolation for sub-sample accuracy
+    let refined = tau;
+    if (tau > 1 && tau < maxTau) {
+        const a = cmnd[tau - 1];
+        const b = cmnd[tau];
+        const c = cmnd[tau + 1];
+        const denom = a - 2 * b + c;
+        if (denom !== 0) refined = tau + (a - c) / (2 * denom);
+    }
+
+    return { freq: sampleRate / refined, clarity: 1 - cmnd[tau] };
+}
+
+/**
+ * Snap a frequency to the closest key on the keyboard.
+ * Returns { note, label, cents } or null when no key is within MAX_CENTS.
+ */
+export function nearestKey(freq, keyboardEl) {
+    let best = null;
+    keyboardEl.querySelectorAll('.key').forEach(keyEl => {
+        const keyFreq = noteFrequency(keyEl.dataset.note);
+        if (!keyFreq) return;
+        const cents = 1200 * Math.log2(freq / keyFreq);
+        if (!best || Math.abs(cents) < Math.abs(best.cents)) {
+            best = { note: keyEl.dataset.note, label: keyEl.textContent, cents };
+        }
+    });
+    return best && Math.abs(best.cents) <= MAX_CENTS ? best : null;
+}
+
+// --- live microphone ---
+let micStream = null;
+let micSource = null;
+let micAnalyser = null;
+let micBuffer = null;
+let pollTimer = null;
+
+let heardNote = null;     // note currently reported as pressed
+let candidate = null;     // note (or null) waiting to become stable
+let candidateFrames = 0;
+
+/**
+ * Start listening. The mic feeds its own analyser only (never the speakers).
+ * param: keyboard elem, handlers.onPress(note, label) / onRelease(note) /
+ *        onPitch(freq | null, key | null) for live feedback
+ */
+export async function startMic(keyboardEl, handlers = {}) {
+    if (micStream) return;
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        throw new Error('Microphone input is not supported in this browser');
+    }
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+
+    // raw signal: the browser's voice processing smears pitch
+    micStream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+    });
+    micSource = audioCtx.createMediaStreamSource(micStream);
+    micAnalyser = audioCtx.createAnalyser();
+    micAnalyser.fftSize = 2048;
+    micBuffer = new Float32Array(micAnalyser.fftSize);
+    micSource.connect(micAnalyser);
+
+    pollTimer = setInterval(() => poll(keyboardEl, handlers), POLL_MS);
+}
+
+export function stopMic(handlers = {}) {
+    if (!micStream) return;
+    clearInterval(pollTimer);
+    pollTimer = null;
+    micSource.disconnect();
+    micStream.getTracks().forEach(track => track.stop());
+    micStream = micSource = micAnalyser = micBuffer = null;
+
+    if (heardNote && handlers.onRelease) handlers.onRelease(heardNote);
+    heardNote = candidate = null;
+    candidateFrames = 0;
+}
+
+export function isMicOn() {
+    return !!micStream;
+}
+
+function poll(keyboardEl, handlers) {
+    micAnalyser.getFloatTimeDomainData(micBuffer);
+    const pitch = detectPitch(micBuffer, audioCtx.sampleRate);
+    const key = pitch ? nearestKey(pitch.freq, keyboardEl) : null;
+    if (handlers.onPitch) handlers.onPitch(pitch ? pitch.freq : null, key);
+
+    // debounce: a note (or silence) must hold for a few frames
+    const note = key ? key.note : null;
+    if (note !== candidate) {
+        candidate = note;
+        candidateFrames = 1;
+        return;
+    }
+    if (++candidateFrames < STABLE_FRAMES || note === heardNote) return;
+
+    if (heardNote && handlers.onRelease) handlers.onRelease(heardNote);
+    heardNote = note;
+    if (note && handlers.onPress) handlers.onPress(note, key.label);
+}
\ No newline at end of file
@@ -6,40 +6,63 @@
  * @date    20 Nov 2025
  */
 
-import { startNote, stopNote, getFrequency, resolveNoteFromLabel } from "./keyboard.js";
-import { audioCtx } from "./audio.js";
+import { groupChords } from "./grade.js";
 
-// debug toggle
-const DEBUG_HIGHLIGHT_KEYS = false;
+// display granularity for held notes and rests
+const BEAT = 0.5;          // seconds per '—' / '·' symbol
+const MIN_REST = 0.25;     // shorter gaps are just articulation
 
-const recordedInput = document.getElementById('recorded-sequence');
+// the instance the buttons drive (see engine.js) and its readonly note display
+let scope = null;
+let recordedDisplay = null;
+let statusEl = null;      // where a melody that can't play says why
 
-// recording state
-let isRecording = false;
-let recordedNotes = [];
+let playButton, recordBtn, playBottomBtn, stopBtn;
 
-// top-level flags
-let isPlaying = false;
-let isPlayingRecorded = false;
+/**
+ * param: scillyscope instance, elems { display, status, playButton, recordBtn, playBottomBtn, stopBtn }
+ * (any may be missing)
+ */
+export function initPlayRecord(instance, elems = {}) {
+    scope = instance;
+    recordedDisplay = elems.display || null;
+    statusEl = elems.status || null;
+    playButton = elems.playButton;
+    recordBtn = elems.recordBtn;
+    playBottomBtn = elems.playBottomBtn;
+    stopBtn = elems.stopBtn;
+
+    // remember idle captions so they can be restored after pause/resume
+    [playButton, playBottomBtn].forEach(btn => {
+        if (btn) btn.dataset.label = btn.textContent.trim();
+    });
+    if (stopBtn) stopBtn.disabled = true;
 
-let playButton, recordBtn, playBottomBtn;
+    scope.addEventListener('recording', (e) => {
+        if (recordedDisplay) recordedDisplay.textContent = formatRecording(e.detail.notes);
+        if (playBottomBtn && !e.detail.recording) playBottomBtn.disabled = e.detail.notes.length === 0 || !!scope.nowPlaying();
+    });
+    scope.addEventListener('playbackend', (e) => {
+        if (e.detail.what === 'melody') melodyEnded();
+        else recordingEnded();
+    });
+}
 
-export function initBtns(pb, rb, pbb) {
-    playButton = pb;
-    recordBtn = rb;
-    playBottomBtn = pbb;
+function isPlaying() {
+    return scope.nowPlaying() === 'melody';
 }
 
-// record button handler: disable play buttons while recording
-export function record() {
-    // ensure audio context is resumed on user gesture
-    if (audioCtx.state === 'suspended') audioCtx.resume();
+function isPlayingRecorded() {
+    return scope.nowPlaying() === 'recording';
+}
 
-    isRecording = !isRecording;
+function hasRecording() {
+    return scope.getRecording().length > 0;
+}
 
-    if (isRecording) {
-        recordedNotes = [];
-        if (recordedInput) recordedInput.value = '';
+// record button handler: disable play buttons while recording
+export function record() {
+    if (scope.record()) {
         recordBtn.classList.add('recording');
         recordBtn.setAttribute('aria-pressed', 'true');
         recordBtn.textContent = '⏹ Recording';
@@ -54,243 +77,128 @@ export function record() {
         recordBtn.setAttribute('aria-pressed', 'false');
         recordBtn.textContent = '⏺ Record';
         if (playBottomBtn) {
-            playBottomBtn.disabled = recordedNotes.length === 0;
+            playBottomBtn.disabled = !hasRecording();
         }
         // re-enable the top play button only if not playing recorded
-        if (playButton) playButton.disabled = !!isPlayingRecorded;
+        if (playButton) playButton.disabled = isPlayingRecorded();
     }
 }
 
-export function playRecording(melodyStr, callback) {
-    if (recordedNotes.length === 0) return;
-    // prevent double-trigger
-    if (isPlayingRecorded) return;
-
-    // ensure audio context is resumed on user gesture
-    if (audioCtx.state === 'suspended') audioCtx.resume();
+// bottom play button: replay the take; the instance grades it against its melody
+export function playRecording() {
+    // a second click pauses / resumes the running playback
+    if (isPlayingRecorded()) {
+        togglePause(playBottomBtn);
+        return;
+    }
+    if (!scope.playRecording()) return;
 
-    isPlayingRecorded = true;
     playBottomBtn.classList.add('playing');
     playBottomBtn.setAttribute('aria-pressed', 'true');
-    playBottomBtn.disabled = true;
+    playBottomBtn.textContent = '⏸ Pause';
+    if (stopBtn) stopBtn.disabled = false;
 
     // disable the top play and record buttons while recorded playback runs
     if (playButton) playButton.disabled = true;
     if (recordBtn) recordBtn.disabled = true;
+}
 
-    const DEFAULT_NOTE_DURATION = 0.5; // seconds for every note except last
-    const LAST_NOTE_DURATION = 1.0;    // seconds for the final note
-    const NOTE_RELEASE = 0.5;          // seconds — keep in sync with stopNote's release
-
-    // ensure we have a label->note map
-    const map = (typeof labelToNote !== 'undefined' && labelToNote) ? labelToNote : (() => {
-        const m = Object.create(null);
-        if (keyboard) {
-            Array.from(keyboard.querySelectorAll('.key')).forEach(k => {
-                const label = ((k.textContent || k.innerText) || '').trim().toUpperCase();
-                const dn = k.dataset.note || k.getAttribute('data-note');
-                if (label && dn) m[label] = dn;
-            });
-        }
-        return m;
-    })();
-
-    let timeOffset = 0;
-
-    recordedNotes.forEach((entry, idx) => {
-        const note = entry && entry.note ? entry.note : (entry || null);
-        const duration = (idx === recordedNotes.length - 1) ? LAST_NOTE_DURATION : DEFAULT_NOTE_DURATION;
-
-        if (!note) {
-            timeOffset += duration;
-            return;
-        }
-
-        // schedule start
-        setTimeout(() => {
-            const m = String(note).match(/^([A-G]#?)(\d+)$/);
-            if (!m) return;
-            const noteName = m[1];
-            const octave = parseInt(m[2], 10);
-            const freq = getFrequency(noteName, octave);
-
-            startNote(note, freq);
-
-            const keyEl = keyboard && keyboard.querySelector(`.key[data-note="${note}"]`);
-            if (keyEl) {
-                keyEl.classList.add('active');
-                if (typeof DEBUG_HIGHLIGHT_KEYS !== 'undefined' && DEBUG_HIGHLIGHT_KEYS) keyEl.classList.add('debug-playing');
-            }
-        }, timeOffset * 1000);
-
-        // schedule stop
-        setTimeout(() => {
-            stopNote(note);
-            const keyEl = keyboard && keyboard.querySelector(`.key[data-note="${note}"]`);
-            if (keyEl) {
-                keyEl.classList.remove('active');
-                if (typeof DEBUG_HIGHLIGHT_KEYS !== 'undefined' && DEBUG_HIGHLIGHT_KEYS) keyEl.classList.remove('debug-playing');
-            }
-        }, (timeOffset + duration) * 1000);
-
-        timeOffset += duration;
-    });
-
-    // compute end time and revert UI (include release)
-    const totalMs = (timeOffset + NOTE_RELEASE) * 1000;
-    setTimeout(() => {
-        playBottomBtn.classList.remove('playing');
-        playBottomBtn.setAttribute('aria-pressed', 'false');
-        playBottomBtn.disabled = recordedNotes.length === 0;
-
-        // re-enable top play only if we're not currently recording or playing the melody
-        if (playButton) playButton.disabled = !!isRecording || !!isPlaying;
-
-        // re-enable record only if the melody isn't playing
-        if (recordBtn) recordBtn.disabled = !!isPlaying;
+function recordingEnded() {
+    playBottomBtn.classList.remove('playing');
+    playBottomBtn.setAttribute('aria-pressed', 'false');
+    playBottomBtn.textContent = playBottomBtn.dataset.label;
+    playBottomBtn.disabled = !hasRecording();
+    if (stopBtn) stopBtn.disabled = true;
 
-        // clear any lingering highlights
-        if (keyboard) {
-            keyboard.querySelectorAll('.key.active').forEach(k => k.classList.remove('active'));
-            if (typeof DEBUG_HIGHLIGHT_KEYS !== 'undefined' && DEBUG_HIGHLIGHT_KEYS) {
-                keyboard.querySelectorAll('.key.debug-playing').forEach(k => k.classList.remove('debug-playing'));
-            }
-        }
+    // re-enable top play only if we're not currently recording
+    if (playButton) playButton.disabled = scope.isRecording();
 
-        const expected = Array.from(String(melodyStr)).map(ch => {
-            const label = String(ch).trim().toUpperCase();
-            return label ? (map[String(label)] || null) : null;
-        }).filter(Boolean);
+    // re-enable record
+    if (recordBtn) recordBtn.disabled = false;
+}
 
-        const actual = recordedNotes.map(e => (e && e.note) ? e.note : String(e || ''));
+// e.g. "W A— · [VE] S" : '—' per extra beat held, '·' per beat of rest, [..] for chords
+export function formatRecording(notes) {
+	const groups = groupChords(notes.slice().sort((a, b) => a.start - b.start));
 
-        const sameLength = expected.length === actual.length;
-        const allMatch = sameLength && expected.every((n, i) => n === actual[i]);
+	const parts = [];
+	let lastEnd = null;
+	groups.forEach(group => {
+		const start = group[0].start;
+		if (lastEnd != null && start - lastEnd >= MIN_REST) {
+			parts.push('\u00b7'.repeat(Math.max(1, Math.round((start - lastEnd) / BEAT))));
+		}
 
-        isPlayingRecorded = false;
-        
-        if (allMatch) {
-            callback('success!');
-        } else {
-            callback('fail!');
-        }
+		// an open note (still held) has no length yet
+		const ends = group.map(e => e.end != null ? e.end : e.start);
+		const held = Math.max(...ends) - start;
+		const labels = group.map(e => e.label).join('');
+		const text = group.length > 1 ? '[' + labels + ']' : labels;
+		parts.push(text + '\u2014'.repeat(Math.max(0, Math.round(held / BEAT) - 1)));
 
-    }, totalMs + 100);
+		lastEnd = Math.max(lastEnd != null ? lastEnd : 0, ...ends);
+	});
+	return parts.join(' ');
 }
 
-// capture key presses for recording (pointer events cover mouse/touch)
-// ensure we store both the real note and the visible label
-export function recordKeyPresses(ev) {
-	const keyEl = ev.target.closest('.key');
-	if (!keyEl) return;
-
-	const note = keyEl.dataset.note || keyEl.getAttribute('data-note') || null;
-	const label = keyEl.textContent || '\u2423';
-
-	// dispatch a global event so other code can react if needed
-	if (note) {
-		document.dispatchEvent(new CustomEvent('pianoKeyPressed', { detail: { note } }));
+// top play button: the melody (or a preview of any melody text, in its own
+// encoding when one is given; see codecs.js)
+export function playMelody(melodyStr, encoding) {
+	// a second click pauses / resumes the running melody
+	if (isPlaying()) {
+		togglePause(playButton);
+		return;
 	}
+	if (!melodyStr || melodyStr.length === 0) return;
 
-	// If recording, append the visible label to the readonly input (store both)
-	if (isRecording) {
-		recordedNotes.push({ note, label });
-		if (recordedInput) recordedInput.value = recordedNotes.map(e => e.label).join(' ');
+	try {
+		scope.play(melodyStr, encoding);
+	} catch (err) {
+		if (statusEl) {
+			statusEl.classList.remove('success', 'fail');
+			statusEl.textContent = err.message;
+		}
+		return;
 	}
-}
-
-export function playMelody(melodyStr) {
-	// resume audio on user gesture
-	if (audioCtx.state === 'suspended') audioCtx.resume();
-
-	// guard
-	if (isPlaying) return;
-	if (!melodyStr || melodyStr.length === 0) return;
-	isPlaying = true;
 
 	// UI: mark playing
 	if (playButton) {
 		playButton.classList.add('playing');
 		playButton.setAttribute('aria-pressed', 'true');
+		playButton.textContent = '⏸ Pause';
 	}
+	if (stopBtn) stopBtn.disabled = false;
 
 	// disable record and bottom-play while the melody runs
 	if (recordBtn) recordBtn.disabled = true;
 	if (playBottomBtn) playBottomBtn.disabled = true;
+}
 
-	const DEFAULT_NOTE_DURATION = 0.5; // seconds for every note except last
-	const LAST_NOTE_DURATION = 1.0;    // seconds for the final note
-	const NOTE_RELEASE = 0.5;          // keep in sync with stopNote's release
-
-	let timeOffset = 0;
-	const chars = Array.from(String(melodyStr));
-
-	chars.forEach((ch, idx) => {
-		// treat each character as a visible key label; ignore whitespace
-		const labelRaw = String(ch);
-		const label = labelRaw.trim().toUpperCase();
-		const duration = (idx === chars.length - 1) ? LAST_NOTE_DURATION : DEFAULT_NOTE_DURATION;
-
-		if (!label) {
-			// skip unresolved label but advance time
-			timeOffset += duration;
-			return;
-		}
-
-		const dataNote = resolveNoteFromLabel(label);
-		if (!dataNote) {
-			// skip unresolved label but advance time
-			timeOffset += duration;
-			return;
-		}
-
-		// schedule start
-		setTimeout(() => {
-			const m = String(dataNote).match(/^([A-G]#?)(\d+)$/);
-			if (!m) return;
-			const freq = getFrequency(m[1], parseInt(m[2], 10));
-			startNote(dataNote, freq);
-
-			const keyEl = keyboard && keyboard.querySelector(`.key[data-note="${dataNote}"]`);
-			if (keyEl) {
-				keyEl.classList.add('active');
-				if (DEBUG_HIGHLIGHT_KEYS) keyEl.classList.add('debug-playing');
-			}
-		}, timeOffset * 1000);
-
-		// schedule stop
-		setTimeout(() => {
-			stopNote(dataNote);
-			const keyEl = keyboard && keyboard.querySelector(`.key[data-note="${dataNote}"]`);
-			if (keyEl) {
-				keyEl.classList.remove('active');
-				if (DEBUG_HIGHLIGHT_KEYS) keyEl.classList.remove('debug-playing');
-			}
-		}, (timeOffset + duration) * 1000);
-
-		timeOffset += duration;
-	});
-
-	// total playback length (notes + release)
-	const totalMs = (timeOffset + NOTE_RELEASE) * 1000;
-
-	// revert UI after playback finishes
-	setTimeout(() => {
-		if (playButton) {
-			playButton.classList.remove('playing');
-			playButton.setAttribute('aria-pressed', 'false');
-		}
+// revert UI after the melody finishes (or is stopped)
+function melodyEnded() {
+	if (playButton) {
+		playButton.classList.remove('playing');
+		playButton.setAttribute('aria-pressed', 'false');
+		playButton.textContent = playButton.dataset.label;
+	}
+	if (stopBtn) stopBtn.disabled = true;
 
-		// restore record and bottom-play appropriately
-		if (recordBtn) recordBtn.disabled = !!isRecording || !!isPlayingRecorded;
-		if (playBottomBtn) playBottomBtn.disabled = recordedNotes.length === 0 || !!isRecording || !!isPlayingRecorded;
+	// restore record and bottom-play appropriately
+	if (recordBtn) recordBtn.disabled = scope.isRecording();
+	if (playBottomBtn) playBottomBtn.disabled = !hasRecording() || scope.isRecording();
+}
 
-		// clear any lingering highlights
-		if (keyboard) {
-			keyboard.querySelectorAll('.key.active').forEach(k => k.classList.remove('active'));
-			if (DEBUG_HIGHLIGHT_KEYS) keyboard.querySelectorAll('.key.debug-playing').forEach(k => k.classList.remove('debug-playing'));
-		}
+// stop button handler: cancels whichever playback is running
+export function stopPlayback() {
+	scope.stop();
+}
 
-		isPlaying = false;
-	}, totalMs);
+function togglePause(btn) {
+	if (scope.playbackState() === 'playing') {
+		scope.pause();
+		btn.textContent = '▶ Resume';
+	} else if (scope.playbackState() === 'paused') {
+		scope.resume();
+		btn.textContent = '⏸ Pause';
+	}
 }
\ No newline at end of file
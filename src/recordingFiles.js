@@ -0,0 +1,354 @@
+/**
+ * @file    recordingFiles.js
+ * @brief   ScillyScope recording export / import: JSON, Standard MIDI File and WAV
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { getVolume, createMasterChain } from "./audio.js";
+import { createVoiceChain, noteFrequency } from "./keyboard.js";
+import { applyAttack, applyRelease, envelopeLevel, envelope } from "./envelope.js";
+import { midiToNote, noteToMidi } from "./midi.js";
+import { effects } from "./effects.js";
+
+// recordings are [{ note, label, start, end }] in seconds, as in playRecord.js
+
+const JSON_FORMAT = 'scillyscope-recording';
+const JSON_VERSION = 1;
+
+const PPQ = 480;                 // MIDI ticks per quarter note
+const MIDI_TEMPO = 500000;       // µs per quarter note (120 bpm): 1 tick = 1/960 s
+const WAV_RATE = 44100;
+const MIN_NOTE = 0.05;           // same as engine.js: a tap still sounds
+
+// --- JSON ---
+
+export function recordingToJSON(notes) {
+    return JSON.stringify({
+        format: JSON_FORMAT,
+        version: JSON_VERSION,
+        notes: notes.map(({ note, label, start, end }) => ({ note, label, start, end }))
+    }, null, 2);
+}
+
+// accepts the exported object or a bare notes array
+export function recordingFromJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Not a JSON file: ' + err.message);
+    }
+    const list = Array.isArray(data) ? data : data && data.notes;
+    if (!Array.isArray(list)) throw new Error('JSON recording needs a "notes" array');
+    if (!Array.isArray(data) && data.format && data.format !== JSON_FORMAT) {
+        throw new Error(`Unknown recording format "${data.format}"`);
+    }
+
+    return list.map((n, i) => {
+        const start = Number(n && n.start);
+        const end = n && n.end != null ? Number(n.end) : start;
+        if (!n || noteToMidi(n.note) == null || !Number.isFinite(start) || !Number.isFinite(end) || end < start) {
+            throw new Error(`Recording note ${i + 1} needs a note like "C4" and start <= end`);
+        }
+        return { note: n.note, label: typeof n.label === 'string' ? n.label : '', start, end };
+    });
+}
+
+// --- Standard MIDI File (format 0, one track) ---
+
+function varLen(n) {
+    const bytes = [n & 0x7F];
+    while ((n >>= 7) > 0) bytes.unshift((n & 0x7F) | 0x80);
+    return bytes;
+}
+
+function secondsToTicks(s) {
+    return Math.round(s * 1e6 / MIDI_TEMPO * PPQ);
+}
+
+/**
+ * Notes become note on/off pairs; each label rides along as a lyric meta
+ * event at the note's start so an import gets the key captions back.
+ */
+export function recordingToMidi(notes) {
+    const events = [];
+    notes.forEach((n, i) => {
+        const num = noteToMidi(n.note);
+        if (num == null) return;
+        const on = secondsToTicks(n.start);
+        const off = Math.max(on + 1, secondsToTicks(n.end != null ? n.end : n.start + MIN_NOTE));
+        // the lyric sits right before its own note on
+        if (n.label) events.push({ tick: on, order: 2 * i, bytes: [0xFF, 0x05, ...varLen(utf8(n.label).length), ...utf8(n.label)] });
+        events.push({ tick: on, order: 2 * i + 1, bytes: [0x90, num, 100] });
+        events.push({ tick: off, order: -1, bytes: [0x80, num, 0] });
+    });
+    // note offs first at equal ticks so a repeated key isn't cut short
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    const track = [0x00, 0xFF, 0x51, 0x03, (MIDI_TEMPO >> 16) & 0xFF, (MIDI_TEMPO >> 8) & 0xFF, MIDI_TEMPO & 0xFF];
+    let last = 0;
+    events.forEach(e => {
+        track.push(...varLen(e.tick - last), ...e.bytes);
+        last = e.tick;
+    });
+    track.push(0x00, 0xFF, 0x2F, 0x00);
+
+    const len = track.length;
+    return new Uint8Array([
+        0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, (PPQ >> 8) & 0xFF, PPQ & 0xFF,
+        0x4D, 0x54, 0x72, 0x6B, (len >>> 24) & 0xFF, (len >> 16) & 0xFF, (len >> 8) & 0xFF, len & 0xFF,
+        ...track
+    ]);
+}
+
+function utf8(text) {
+    return Array.from(new TextEncoder().encode(text));
+}
+
+/**
+ * Read any format 0/1 file: all tracks are merged, tempo changes honoured
+ * (ticks-per-quarter timing only). Returns a recording sorted by start.
+ */
+export function recordingFromMidi(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const text = (at, n) => String.fromCharCode(...bytes.subarray(at, at + n));
+    const u32 = (at) => ((bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3]) >>> 0;
+    const u16 = (at) => (bytes[at] << 8) | bytes[at + 1];
+
+    if (bytes.length < 14 || text(0, 4) !== 'MThd') throw new Error('Not a Standard MIDI File');
+    const headerLen = u32(4);
+    const trackCount = u16(10);
+    const division = u16(12);
+    if (division & 0x8000) throw new Error('SMPTE-timed MIDI files are not supported');
+
+    // raw events from every track, in ticks
+    const raw = [];
+    let pos = 8 + headerLen;
+    for (let t = 0; t < trackCount && pos + 8 <= bytes.length; t++) {
+        if (text(pos, 4) !== 'MTrk') throw new Error(`MIDI track ${t + 1} is missing its header`);
+        const end = pos + 8 + u32(pos + 4);
+        if (end > bytes.length) throw new Error(`MIDI track ${t + 1} is truncated`);
+        pos += 8;
+
+        let tick = 0;
+        let status = 0;
+        const readVar = () => {
+            let n = 0;
+            let b;
+            do {
+                b = bytes[pos++];
+                n = (n << 7) | (b & 0x7F);
+            } while (b & 0x80 && pos < end);
+            return n;
+        };
+        while (pos < end) {
+            tick += readVar();
+            if (bytes[pos] & 0x80) status = bytes[pos++];
+            else if (!status) throw new Error('Bad MIDI running status');
+
+            if (status === 0xFF) {
+                const type = bytes[pos++];
+                const len = readVar();
+                const data = bytes.subarray(pos, pos + len);
+                pos += len;
+                if (type === 0x51 && len === 3) raw.push({ tick, kind: 'tempo', value: (data[0] << 16) | (data[1] << 8) | data[2] });
+                if (type === 0x05) raw.push({ tick, kind: 'lyric', value: new TextDecoder().decode(data) });
+                status = 0;
+            } else if (status === 0xF0 || status === 0xF7) {
+                pos += readVar();
+                status = 0;
+            } else {
+                const cmd = status & 0xF0;
+                const a = bytes[pos++];
+                const b = (cmd === 0xC0 || cmd === 0xD0) ? 0 : bytes[pos++];
+                if (cmd === 0x90 && b > 0) raw.push({ tick, kind: 'on', value: a });
+                else if (cmd === 0x80 || cmd === 0x90) raw.push({ tick, kind: 'off', value: a });
+            }
+        }
+        pos = end;
+    }
+    raw.sort((x, y) => x.tick - y.tick);
+
+    // ticks -> seconds through the tempo map
+    let tempo = 500000;
+    let lastTick = 0;
+    let seconds = 0;
+    const open = {};
+    const notes = [];
+    let lyric = null;
+    raw.forEach(e => {
+        seconds += (e.tick - lastTick) * tempo / 1e6 / division;
+        lastTick = e.tick;
+        if (e.kind === 'tempo') tempo = e.value;
+        else if (e.kind === 'lyric') lyric = { tick: e.tick, text: e.value };
+        else if (e.kind === 'on') {
+            const label = lyric && lyric.tick === e.tick ? lyric.text : '';
+            lyric = null;
+            const entry = { note: midiToNote(e.value), label, start: seconds, end: null };
+            (open[e.value] = open[e.value] || []).push(entry);
+            notes.push(entry);
+        } else if (open[e.value] && open[e.value].length) {
+            open[e.value].shift().end = seconds;
+        }
+    });
+    notes.forEach(n => { if (n.end == null) n.end = seconds; });
+
+    if (notes.length === 0) throw new Error('The MIDI file has no notes');
+    return notes;
+}
+
+// --- WAV via OfflineAudioContext ---
+
+/**
+ * Render the recording with the current timbre, envelope and volume through
+ * the same voice chain, effects and master bus the keyboard uses. Resolves to a WAV Blob.
+ */
+export async function recordingToWav(notes) {
+    const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineCtx) throw new Error('Offline audio rendering is not supported in this browser');
+    if (notes.length === 0) throw new Error('Nothing recorded yet');
+
+    const first = Math.min(...notes.map(n => n.start));
+    const last = Math.max(...notes.map(n => Math.max(n.end != null ? n.end : n.start, n.start + MIN_NOTE)));
+    // leave room for the reverb / delay tail
+    const tail = Math.max(effects.reverb.on ? effects.reverb.decay : 0, effects.delay.on ? 2 : 0);
+    const length = Math.ceil((last - first + envelope.release + tail + 0.1) * WAV_RATE);
+    const ctx = new OfflineCtx(1, length, WAV_RATE);
+    const bus = createMasterChain(ctx, getVolume());
+    bus.limiter.connect(ctx.destination);
+
+    notes.forEach(n => {
+        const freq = noteFrequency(n.note);
+        if (!freq) return;
+        const { osc, gain } = createVoiceChain(ctx, freq);
+        gain.connect(bus.input);
+
+        const when = n.start - first;
+        const duration = Math.max(MIN_NOTE, (n.end != null ? n.end : n.start) - n.start);
+        applyAttack(gain.gain, 1, when);
+        osc.start(when);
+        osc.stop(applyRelease(gain.gain, when + duration, envelopeLevel(duration, 1)));
+    });
+
+    const rendered = await ctx.startRendering();
+    bus.rack.dispose();
+    return encodeWav(rendered);
+}
+
+// 16-bit PCM WAV from an AudioBuffer
+export function encodeWav(buffer) {
+    const channels = buffer.numberOfChannels;
+    const frames = buffer.length;
+    const bytesPerFrame = channels * 2;
+    const view = new DataView(new ArrayBuffer(44 + frames * bytesPerFrame));
+    const ascii = (at, s) => [...s].forEach((c, i) => view.setUint8(at + i, c.charCodeAt(0)));
+
+    ascii(0, 'RIFF');
+    view.setUint32(4, 36 + frames * bytesPerFrame, true);
+    ascii(8, 'WAVE');
+    ascii(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);                       // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * bytesPerFrame, true);
+    view.setUint16(32, bytesPerFrame, true);
+    view.setUint16(34, 16, true);
+    ascii(36, 'data');
+    view.setUint32(40, frames * bytesPerFrame, true);
+
+    const data = [];
+    for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+    let at = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < channels; c++) {
+            const s = Math.max(-1, Math.min(1, data[c][i]));
+            view.setInt16(at, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+            at += 2;
+        }
+    }
+    return new Blob([view], { type: 'audio/wav' });
+}
+
+// --- panel ---
+
+// save a blob through a temporary link (also used by the puzzle editor)
+export function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * param: container elem, getNotes() -> current recording,
+ *        onLoad(notes) for an imported one (throw to reject it)
+ */
+export function initRecordingPanel(container, getNotes, onLoad) {
+    const status = document.createElement('div');
+    status.setAttribute('aria-live', 'polite');
+
+    const addButton = (text, onClick) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.classList.add('btn');
+        btn.textContent = text;
+        btn.addEventListener('click', async () => {
+            try {
+                await onClick();
+            } catch (err) {
+                status.textContent = err.message;
+            }
+        });
+        container.appendChild(btn);
+        return btn;
+    };
+
+    const requireNotes = () => {
+        const notes = getNotes();
+        if (notes.length === 0) throw new Error('Nothing recorded yet');
+        return notes;
+    };
+
+    addButton('⬇ JSON', () => {
+        download(new Blob([recordingToJSON(requireNotes())], { type: 'application/json' }), 'recording.json');
+        status.textContent = 'Saved recording.json';
+    });
+    addButton('⬇ MIDI', () => {
+        download(new Blob([recordingToMidi(requireNotes())], { type: 'audio/midi' }), 'recording.mid');
+        status.textContent = 'Saved recording.mid';
+    });
+    addButton('⬇ WAV', async () => {
+        status.textContent = 'Rendering…';
+        download(await recordingToWav(requireNotes()), 'recording.wav');
+        status.textContent = 'Saved recording.wav';
+    });
+
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,.mid,.midi,application/json,audio/midi';
+    fileInput.hidden = true;
+    container.appendChild(fileInput);
+    addButton('⬆ Import', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        try {
+            const notes = /\.json$/i.test(file.name)
+                ? recordingFromJSON(await file.text())
+                : recordingFromMidi(await file.arrayBuffer());
+            onLoad(notes);
+            status.textContent = `Loaded ${notes.length} note${notes.length === 1 ? '' : 's'} from ${file.name}`;
+        } catch (err) {
+            status.textContent = err.message;
+        }
+        fileInput.value = '';
+    });
+
+    container.appendChild(status);
+}
\ No newline at end of file
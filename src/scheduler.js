@@ -0,0 +1,151 @@
+/**
+ * @file    scheduler.js
+ * @brief   ScillyScope look-ahead playback scheduler on the AudioContext clock
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { envelope } from "./envelope.js";
+import { sendMidiNote, midiAllNotesOff } from "./midi.js";
+
+// the timer only decides *when to queue*; notes themselves start on the audio clock
+const TICK_MS = 25;
+const LOOKAHEAD = 0.1;        // seconds queued ahead while visible
+const HIDDEN_LOOKAHEAD = 1.5; // background tabs throttle timers to ~1 s
+const START_DELAY = 0.05;     // headroom so the first note isn't late
+
+// background tab (never in Node)
+function pageHidden() {
+    return typeof document !== 'undefined' && document.hidden;
+}
+
+/**
+ * Playback for one voice player (see createVoicePlayer) on its context's clock.
+ * param: context, player, options.midi to mirror the notes to the Web MIDI output
+ * Returns { events, play, pause, resume, stop, getState }.
+ *
+ * events: 'noteon', 'noteoff' (detail: { note, freq, data, active }),
+ * 'pause', 'resume', 'end' (detail: { reason: 'done' | 'stopped' })
+ */
+export function createScheduler(ctx, player, options = {}) {
+    const events = new EventTarget();
+    const midi = !!options.midi;
+
+    let items = [];       // { note, freq, start, duration, data, xyChannel? } in seconds from song start
+    let queue = [];       // items still to be handed to the audio graph
+    let nextIndex = 0;
+    let pending = [];     // { time, type, item } UI events in audio time
+    let voices = [];      // audio voices created so far this run
+    let sounding = new Set();
+    let songStart = 0;    // audio time of song position 0
+    let songLength = 0;
+    let pausedAt = 0;
+    let timer = null;
+    let onEnd = null;
+    let state = 'stopped'; // 'stopped' | 'playing' | 'paused'
+
+    function emit(type, detail) {
+        events.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    // param: list of items as above; opts.onEnd(reason) runs after the last release
+    function play(list, opts = {}) {
+        stop();
+        items = list.filter(i => i && i.duration > 0).sort((a, b) => a.start - b.start);
+        songLength = items.reduce((len, i) => Math.max(len, i.start + i.duration), 0);
+        onEnd = opts.onEnd || null;
+        if (items.length === 0) {
+            finish('done');
+            return;
+        }
+        begin(0);
+    }
+
+    function pause() {
+        if (state !== 'playing') return;
+        pausedAt = Math.max(0, ctx.currentTime - songStart);
+        halt();
+        state = 'paused';
+        emit('pause', { position: pausedAt });
+    }
+
+    function resume() {
+        if (state !== 'paused') return;
+        emit('resume', { position: pausedAt });
+        begin(pausedAt);
+    }
+
+    function stop() {
+        if (state === 'stopped') return;
+        halt();
+        finish('stopped');
+    }
+
+    // (re)queue everything that hasn't finished by `position`, trimming notes in progress
+    function begin(position) {
+        queue = items
+            .filter(i => i.start + i.duration > position)
+            .map(i => i.start >= position ? i : { ...i, start: position, duration: i.start + i.duration - position });
+        nextIndex = 0;
+        pending = [];
+        voices = [];
+        songStart = ctx.currentTime + START_DELAY - position;
+        state = 'playing';
+        tick();
+    }
+
+    function tick() {
+        const now = ctx.currentTime;
+        const lookahead = pageHidden() ? HIDDEN_LOOKAHEAD : LOOKAHEAD;
+
+        while (nextIndex < queue.length && songStart + queue[nextIndex].start < now + lookahead) {
+            const item = queue[nextIndex++];
+            const when = songStart + item.start;
+            voices.push(player.scheduleNote(item.freq, when, item.duration, item.xyChannel));
+            if (midi) sendMidiNote(item.note, when, item.duration);
+            pending.push({ time: when, type: 'noteon', item });
+            pending.push({ time: when + item.duration, type: 'noteoff', item });
+        }
+
+        // UI follows the audio clock: fire whatever is due
+        pending.sort((a, b) => a.time - b.time);
+        while (pending.length && pending[0].time <= now) {
+            const { type, item } = pending.shift();
+            if (type === 'noteon') sounding.add(item);
+            else sounding.delete(item);
+            emit(type, { note: item.note, freq: item.freq, data: item.data, active: sounding.size });
+        }
+
+        if (nextIndex >= queue.length && pending.length === 0 && now >= songStart + songLength + envelope.release) {
+            timer = null;
+            finish('done');
+            return;
+        }
+        timer = setTimeout(tick, TICK_MS);
+    }
+
+    // silence queued voices and close any highlighted notes
+    function halt() {
+        clearTimeout(timer);
+        timer = null;
+        voices.forEach(player.cancelScheduledNote);
+        voices = [];
+        if (midi) midiAllNotesOff();
+        pending = [];
+        sounding.forEach(item => {
+            sounding.delete(item);
+            emit('noteoff', { note: item.note, freq: item.freq, data: item.data, active: sounding.size });
+        });
+    }
+
+    function finish(reason) {
+        state = 'stopped';
+        const cb = onEnd;
+        onEnd = null;
+        emit('end', { reason });
+        if (cb) cb(reason);
+    }
+
+    return { events, play, pause, resume, stop, getState: () => state };
+}
\ No newline at end of file
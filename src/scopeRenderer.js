@@ -7,184 +7,746 @@
  */
 
 
-import { targetAmp, currentFreq, lastFreq } from "./audio.js";
+import { defaultGraph } from "./audio.js";
+import { waveSample } from "./timbre.js";
+import { noteNameForFrequency } from "./keyboard.js";
+import { lissajousPoints } from "./lissajous.js";
+
+// 'synth' draws the ideal waveform of every active voice plus their sum, 'signal' draws the analyser output,
+// 'spectrum' / 'spectrogram' draw the analyser's frequency data, 'xy' plots channel X against Y
+export const SCOPE_MODES = ['synth', 'signal', 'spectrum', 'spectrogram', 'xy'];
+
+// frequency view axes
+const F_MIN = 50;          // Hz, left edge (log scale)
+const F_MAX = 8000;        // Hz, right edge
+const DB_TOP = 0;          // dB at the top of the grid
+const DB_PER_DIV = 10;
+const PEAK_FLOOR = -60;    // dB, quieter bins never get a marker
+const MAX_PEAKS = 5;
+const FREQ_TICKS = [50, 100, 200, 500, 1000, 2000, 5000];
+
+// front-panel controls for the time-domain views
+export const TIME_PER_DIV = [0.1, 0.2, 0.5, 1, 2, 5];   // ms
+export const AMP_PER_DIV = [0.05, 0.1, 0.25, 0.5];     // amplitude units
+export const DEFAULT_SCOPE_SETTINGS = {
+    msPerDiv: 2,
+    ampPerDiv: 0.25,
+    triggerLevel: 0,          // -1..1
+    triggerSlope: 'rising',   // 'rising' | 'falling'
+    offsetX: 0,               // divisions; where the trigger point sits
+    offsetY: 0,               // divisions; moves the zero line up
+    hold: false
+};
+
+function clampNum(value, min, max, fallback) {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+}
+
+// measurement cursors sit on a grid of these divisions
+const DIVISIONS_X = 10;
+const DIVISIONS_Y = 8;
+const PADDING_X = 16;
+const PADDING_Y = 12;
 
-let visualAmp = 0;        // 0..1
+// per-voice trace colours, oldest voice first; the sum stays green
+const VOICE_COLORS = ['#f6c', '#6cf', '#fc6', '#c9f', '#6fc', '#f96'];
 
-// get canvas + context
-const scopeCanvas = document.getElementById('scope-screen');
-const scopeCtx = scopeCanvas.getContext('2d');
+// x position of a frequency on the log axis
+function freqToX(freq, gridLeft, gridWidth) {
+    return gridLeft + Math.log(freq / F_MIN) / Math.log(F_MAX / F_MIN) * gridWidth;
+}
 
-// resize canvas resolution to match CSS size
-function resizeScope() {
-    scopeCanvas.width = scopeCanvas.clientWidth;
-    scopeCanvas.height = scopeCanvas.clientHeight;
+// the same log scale upwards, for the spectrogram's frequency axis
+function freqToY(freq, gridTop, gridHeight) {
+    return gridTop + (1 - Math.log(freq / F_MIN) / Math.log(F_MAX / F_MIN)) * gridHeight;
 }
-window.addEventListener('resize', resizeScope);
-resizeScope();
 
-const AMP_TIME = 0.2;     // artifically slow visual amp change
-let lastTime = performance.now();
+function freqTickLabel(freq) {
+    return freq >= 1000 ? (freq / 1000) + 'k' : String(freq);
+}
+
+/**
+ * One scope screen drawing one audio graph (see createAudioGraph).
+ * Nothing is drawn until start(); several renderers can run side by side.
+ * param: canvas elem, graph (the page's by default)
+ * Returns { start, stop, drawFrame, setMode, getMode, settings, setSettings, setXYTarget, clearCursors }.
+ */
+export function createScopeRenderer(scopeCanvas, graph = defaultGraph) {
+    const { analyser, analyserX, analyserY } = graph;
+    const scopeCtx = scopeCanvas.getContext('2d');
 
-export function drawScope() {
-    requestAnimationFrame(drawScope);
+    let scopeMode = 'synth';
+    const timeData = new Float32Array(analyser.fftSize);
+    const freqData = new Float32Array(analyser.frequencyBinCount);
+    const xData = new Float32Array(analyserX.fftSize);
+    const yData = new Float32Array(analyserY.fftSize);
 
-    const now = performance.now();
-    const delta = (now - lastTime) / 1000;
-    lastTime = now;
+    // XY view: optional target figure [a, b] drawn as a ghost (interval puzzles)
+    let xyTarget = null;
 
-    // amplitude easing
-    const step = AMP_TIME > 0 ? delta / AMP_TIME : 1;
-    if (visualAmp < targetAmp) {
-        visualAmp = Math.min(visualAmp + step, targetAmp);
-    } else if (visualAmp > targetAmp) {
-        visualAmp = Math.max(visualAmp - step, targetAmp);
+    function setXYTarget(ratio) {
+        xyTarget = ratio ? ratio.slice(0, 2) : null;
     }
 
-    // clear completely so previous frame (incl. flat line) disappears
-    scopeCtx.globalCompositeOperation = 'source-over';
-    scopeCtx.clearRect(0, 0, scopeCanvas.width, scopeCanvas.height);
+    // scrolling spectrogram history, kept at grid size
+    const spectroCanvas = document.createElement('canvas');
+    const spectroCtx = spectroCanvas.getContext('2d');
+
+    // front-panel controls for the time-domain views
+    const scopeSettings = { ...DEFAULT_SCOPE_SETTINGS };
+
+    function setScopeSettings(changes) {
+        const next = { ...scopeSettings, ...changes };
+        if (!TIME_PER_DIV.includes(Number(next.msPerDiv))) next.msPerDiv = scopeSettings.msPerDiv;
+        if (!AMP_PER_DIV.includes(Number(next.ampPerDiv))) next.ampPerDiv = scopeSettings.ampPerDiv;
+        next.msPerDiv = Number(next.msPerDiv);
+        next.ampPerDiv = Number(next.ampPerDiv);
+        next.triggerLevel = clampNum(next.triggerLevel, -1, 1, scopeSettings.triggerLevel);
+        next.triggerSlope = next.triggerSlope === 'falling' ? 'falling' : 'rising';
+        next.offsetX = clampNum(next.offsetX, -10, 10, scopeSettings.offsetX);
+        next.offsetY = clampNum(next.offsetY, -4, 4, scopeSettings.offsetY);
+        next.hold = !!next.hold;
+        Object.assign(scopeSettings, next);
+    }
+
+    // measurement cursors in grid divisions: click once for A, again for B, a third time restarts
+    const cursors = [];
+
+    function clearCursors() {
+        cursors.length = 0;
+    }
+
+    // voices frozen by hold (synth view)
+    let heldVoices = [];
+    let heldTime = 0;
+
+    function setScopeMode(mode) {
+        scopeMode = SCOPE_MODES.includes(mode) ? mode : 'synth';
+    }
 
-    // --- grid ---
-    const divisionsX = 10;
-    const divisionsY = 8;
-    const paddingX = 16;
-    const paddingY = 12;
+    function getScopeMode() {
+        return scopeMode;
+    }
 
-    const gridLeft = paddingX;
-    const gridRight = scopeCanvas.width - paddingX;
-    const gridTop = paddingY;
-    const gridBottom = scopeCanvas.height - paddingY;
+    // resize canvas resolution to match CSS size
+    function resizeScope() {
+        scopeCanvas.width = scopeCanvas.clientWidth;
+        scopeCanvas.height = scopeCanvas.clientHeight;
+    }
 
-    const gridWidth = gridRight - gridLeft;
-    const gridHeight = gridBottom - gridTop;
+    scopeCanvas.addEventListener('pointerdown', (e) => {
+        if (scopeMode !== 'synth' && scopeMode !== 'signal') return;
+        const rect = scopeCanvas.getBoundingClientRect();
+        const gridWidth = scopeCanvas.width - 2 * PADDING_X;
+        const gridHeight = scopeCanvas.height - 2 * PADDING_Y;
+        const divX = (e.clientX - rect.left - PADDING_X) / gridWidth * DIVISIONS_X;
+        const divY = (e.clientY - rect.top - PADDING_Y) / gridHeight * DIVISIONS_Y;
+        if (cursors.length >= 2) cursors.length = 0;
+        cursors.push({ divX: Math.max(0, Math.min(DIVISIONS_X, divX)), divY: Math.max(0, Math.min(DIVISIONS_Y, divY)) });
+    });
+
+    // one frame; start() repeats it every animation frame
+    function drawFrame() {
+        // clear completely so previous frame (incl. flat line) disappears
+        scopeCtx.globalCompositeOperation = 'source-over';
+        scopeCtx.clearRect(0, 0, scopeCanvas.width, scopeCanvas.height);
+
+        // --- grid ---
+        const divisionsX = DIVISIONS_X;
+        const divisionsY = DIVISIONS_Y;
+        const paddingX = PADDING_X;
+        const paddingY = PADDING_Y;
+
+        const gridLeft = paddingX;
+        const gridRight = scopeCanvas.width - paddingX;
+        const gridTop = paddingY;
+        const gridBottom = scopeCanvas.height - paddingY;
+
+        const gridWidth = gridRight - gridLeft;
+        const gridHeight = gridBottom - gridTop;
+
+        const spacingX = gridWidth / divisionsX;
+        const spacingY = gridHeight / divisionsY;
+
+        // frequency-domain views have their own axes
+        if (scopeMode === 'spectrum' || scopeMode === 'spectrogram') {
+            drawFrequencyView(gridLeft, gridTop, gridWidth, gridHeight, divisionsY);
+            return;
+        }
+        if (scopeMode === 'xy') {
+            drawXYView(gridLeft, gridTop, spacingX, spacingY);
+            return;
+        }
 
-    const spacingX = gridWidth / divisionsX;
-    const spacingY = gridHeight / divisionsY;
+        const { msPerDiv, ampPerDiv, offsetX, offsetY } = scopeSettings;
+        const totalMs = msPerDiv * divisionsX;
+        const msPerDivision = msPerDiv;
+
+        // grid lines
+        scopeCtx.strokeStyle = '#333';
+        scopeCtx.lineWidth = 1;
+
+        // vertical lines + time labels
+        for (let i = 0; i <= divisionsX; i++) {
+            const x = gridLeft + i * spacingX;
+            scopeCtx.beginPath();
+            scopeCtx.moveTo(x, gridTop);
+            scopeCtx.lineTo(x, gridBottom);
+            scopeCtx.stroke();
+
+            // t = 0 is the trigger point, offsetX divisions from the left
+            const timeLabel = +((i - offsetX) * msPerDivision).toFixed(2) + ' ms';
+            scopeCtx.fillStyle = '#0f0';
+            scopeCtx.font = '12px monospace';
+            scopeCtx.textAlign = 'center';
+            scopeCtx.textBaseline = 'bottom';
+            scopeCtx.fillText(timeLabel, x, gridBottom - 2);
+        }
 
-    const totalMs = 20;
-    const msPerDivision = totalMs / divisionsX;
+        // horizontal lines
+        for (let j = 0; j <= divisionsY; j++) {
+            const y = gridTop + j * spacingY;
+            scopeCtx.beginPath();
+            scopeCtx.moveTo(gridLeft, y);
+            scopeCtx.lineTo(gridRight, y);
+            scopeCtx.stroke();
+        }
 
-    // grid lines
-    scopeCtx.strokeStyle = '#333';
-    scopeCtx.lineWidth = 1;
+        // zero level moves with the vertical position control
+        const zeroY = (gridTop + gridBottom) / 2 - offsetY * spacingY;
+        const pxPerUnit = spacingY / ampPerDiv;
 
-    // vertical lines + time labels
-    for (let i = 0; i <= divisionsX; i++) {
-        const x = gridLeft + i * spacingX;
+        // center reference line as part of the grid (NOT green trace)
+        // make it subtle so it doesn't read as a "flat signal"
+        scopeCtx.save();
+        scopeCtx.strokeStyle = '#2a2a2a'; // subdued grid color
+        scopeCtx.lineWidth = 1;
+        scopeCtx.setLineDash([4, 4]);     // optional: dashed center
         scopeCtx.beginPath();
-        scopeCtx.moveTo(x, gridTop);
-        scopeCtx.lineTo(x, gridBottom);
+        scopeCtx.moveTo(gridLeft, zeroY);
+        scopeCtx.lineTo(gridRight, zeroY);
         scopeCtx.stroke();
+        scopeCtx.restore();
 
-        const timeLabel = (i * msPerDivision) + ' ms';
+        // --- amplitude scale (right side) ---
+        // ampPerDiv per division around the zero line (default: top = +1.0, bottom = -1.0)
         scopeCtx.fillStyle = '#0f0';
         scopeCtx.font = '12px monospace';
+        scopeCtx.textAlign = 'right';
+        scopeCtx.textBaseline = 'middle';
+        scopeCtx.strokeStyle = '#0f0';
+        scopeCtx.lineWidth = 1;
+
+        // small header on the right
         scopeCtx.textAlign = 'center';
+        scopeCtx.fillText('Amp', scopeCanvas.width - 18, gridTop);
+        scopeCtx.textAlign = 'right';
+
+        for (let j = 0; j <= divisionsY; j++) {
+            const y = gridTop + j * spacingY;
+            // map j -> amplitude relative to the zero line
+            const ampVal = (divisionsY / 2 - offsetY - j) * ampPerDiv;
+            const label = ampVal.toFixed(ampPerDiv < 0.25 ? 2 : 1);
+
+            // tick mark at right edge of grid
+            scopeCtx.beginPath();
+            scopeCtx.moveTo(gridRight - 6, y);
+            scopeCtx.lineTo(gridRight - 2, y);
+            scopeCtx.stroke();
+
+            // omit first and last label (j === 0 or j === divisionsY)
+            if (j === 0 || j === divisionsY) continue;
+
+            // label right of the grid (outside the grid)
+            scopeCtx.fillText(label, scopeCanvas.width - 6, y);
+        }
+
+        // use the zero line for the idle trace as well
+        const midY = zeroY;
+
+        // trigger level marker on the left edge
+        const trigY = zeroY - scopeSettings.triggerLevel * pxPerUnit;
+        if (trigY >= gridTop && trigY <= gridBottom) {
+            scopeCtx.fillStyle = '#fc3';
+            scopeCtx.textAlign = 'left';
+            scopeCtx.fillText(scopeSettings.triggerSlope === 'falling' ? 'T\u2193' : 'T\u2191', 2, trigY);
+        }
+
+        drawCursors(gridLeft, gridTop, spacingX, spacingY);
+
+        if (scopeMode === 'signal') {
+            drawSignal(gridLeft, gridRight, midY, pxPerUnit, spacingX);
+            return;
+        }
+
+        // --- waveform drawing ---
+        // gains follow the same ADSR envelope as the voices
+        if (!scopeSettings.hold) {
+            heldTime = graph.ctx.currentTime;
+            heldVoices = graph.activeVoices(heldTime).filter(v => v.gain > 0.001);
+        }
+
+        if (heldVoices.length === 0) {
+            // idle flat trace ONLY when no signal
+            scopeCtx.strokeStyle = '#0f0';
+            scopeCtx.lineWidth = 2;
+            scopeCtx.beginPath();
+            scopeCtx.moveTo(gridLeft, midY);
+            scopeCtx.lineTo(gridRight, midY);
+            scopeCtx.stroke();
+            return;
+        }
+
+        // trigger on the oldest voice: t0 is its most recent cycle start, and every
+        // other voice keeps its real phase relative to that, so chords look right
+        const first = heldVoices[0];
+        const t0 = first.start + Math.floor((heldTime - first.start) * first.freq) / first.freq;
+        const xStart = Math.floor(gridLeft);
+        const xEnd = Math.ceil(gridRight);
+
+        // ideal waveform in the selected timbre, on the calibrated amp/div scale
+        const traceY = (voice, x) => {
+            // time relative to the trigger point, in seconds
+            const seconds = ((x - gridLeft) / spacingX - offsetX) * msPerDiv / 1000;
+            const t = (t0 + seconds - voice.start) * voice.freq * 2 * Math.PI;
+            return waveSample(t) * voice.gain;
+        };
+        const strokeTrace = (sample) => {
+            scopeCtx.beginPath();
+            for (let x = xStart; x <= xEnd; x++) {
+                const y = midY - sample(x) * pxPerUnit;
+                if (x === xStart) scopeCtx.moveTo(x, y);
+                else scopeCtx.lineTo(x, y);
+            }
+            scopeCtx.stroke();
+        };
+
+        // one thin trace per voice when there's more than one
+        scopeCtx.font = '12px monospace';
+        scopeCtx.textAlign = 'left';
         scopeCtx.textBaseline = 'bottom';
-        scopeCtx.fillText(timeLabel, x, gridBottom - 2);
+        if (heldVoices.length > 1) {
+            scopeCtx.lineWidth = 1;
+            heldVoices.forEach((voice, i) => {
+                const color = VOICE_COLORS[i % VOICE_COLORS.length];
+                scopeCtx.strokeStyle = color;
+                strokeTrace(x => traceY(voice, x));
+                scopeCtx.fillStyle = color;
+                scopeCtx.fillText(noteNameForFrequency(voice.freq).name, gridLeft + 4 + i * 36, gridBottom - 4);
+            });
+        }
+
+        // what actually reaches the speakers
+        scopeCtx.lineWidth = 2;
+        scopeCtx.strokeStyle = '#0f0';
+        strokeTrace(x => heldVoices.reduce((sum, voice) => sum + traceY(voice, x), 0));
     }
 
-    // horizontal lines
-    for (let j = 0; j <= divisionsY; j++) {
-        const y = gridTop + j * spacingY;
+    // first crossing of the trigger level (in the chosen slope) with `pre` samples
+    // before it and enough after it to fill the screen; -1 if none
+    function findTrigger(data, span, pre) {
+        const { triggerLevel, triggerSlope } = scopeSettings;
+        const rising = triggerSlope !== 'falling';
+        const last = data.length - span + pre;
+        for (let i = Math.max(1, pre); i < last; i++) {
+            const crossed = rising
+                ? data[i - 1] < triggerLevel && data[i] >= triggerLevel
+                : data[i - 1] > triggerLevel && data[i] <= triggerLevel;
+            if (crossed) return i;
+        }
+        return -1;
+    }
+
+    // draw the real time-domain samples, triggered so periodic signals hold still
+    function drawSignal(gridLeft, gridRight, midY, pxPerUnit, spacingX) {
+        // hold keeps the last captured buffer on screen
+        if (!scopeSettings.hold) analyser.getFloatTimeDomainData(timeData);
+
+        const { msPerDiv, offsetX } = scopeSettings;
+        const samplesPerMs = analyser.context.sampleRate / 1000;
+        const span = Math.min(timeData.length, Math.round(msPerDiv * DIVISIONS_X * samplesPerMs));
+        const pre = Math.round(offsetX * msPerDiv * samplesPerMs);
+        const trigger = findTrigger(timeData, span, pre);
+
+        // free-run when nothing crosses (silence, DC)
+        const start = trigger < 0 ? 0 : Math.max(0, Math.min(timeData.length - span, trigger - pre));
+        const gridWidth = gridRight - gridLeft;
+
+        scopeCtx.lineWidth = 2;
+        scopeCtx.strokeStyle = '#0f0';
         scopeCtx.beginPath();
-        scopeCtx.moveTo(gridLeft, y);
-        scopeCtx.lineTo(gridRight, y);
+
+        for (let x = Math.floor(gridLeft); x <= Math.ceil(gridRight); x++) {
+            // nearest sample for this pixel column; positive values go up
+            const idx = start + Math.min(span - 1, Math.round((x - gridLeft) / gridWidth * (span - 1)));
+            const v = timeData[idx] || 0;
+            const y = midY - v * pxPerUnit;
+            if (x === Math.floor(gridLeft)) {
+                scopeCtx.moveTo(x, y);
+            } else {
+                scopeCtx.lineTo(x, y);
+            }
+        }
+
         scopeCtx.stroke();
     }
 
-    // center reference line as part of the grid (NOT green trace)
-    // make it subtle so it doesn't read as a "flat signal"
-    scopeCtx.save();
-    scopeCtx.strokeStyle = '#2a2a2a'; // subdued grid color
-    scopeCtx.lineWidth = 1;
-    scopeCtx.setLineDash([4, 4]);     // optional: dashed center
-    scopeCtx.beginPath();
-    scopeCtx.moveTo(gridLeft, (gridTop + gridBottom) / 2);
-    scopeCtx.lineTo(gridRight, (gridTop + gridBottom) / 2);
-    scopeCtx.stroke();
-    scopeCtx.restore();
-
-    // --- amplitude scale (right side) ---
-    // top = +1.0, center = 0.0, bottom = -1.0
-    scopeCtx.fillStyle = '#0f0';
-    scopeCtx.font = '12px monospace';
-    scopeCtx.textAlign = 'right';
-    scopeCtx.textBaseline = 'middle';
-    scopeCtx.strokeStyle = '#0f0';
-    scopeCtx.lineWidth = 1;
-
-    // small header on the right
-    scopeCtx.textAlign = 'center';
-    scopeCtx.fillText('Amp', scopeCanvas.width - 18, gridTop);
-    scopeCtx.textAlign = 'right';
-
-    for (let j = 0; j <= divisionsY; j++) {
-        const y = gridTop + j * spacingY;
-        // map j -> amplitude: j=0 -> +1, j=divisionsY -> -1
-        const ampVal = 1 - (j / divisionsY) * 2;
-        const label = ampVal.toFixed(1);
-
-        // tick mark at right edge of grid
+    // Lissajous view: X channel across, Y channel up, both on the amp/div scale
+    function drawXYView(gridLeft, gridTop, spacingX, spacingY) {
+        const gridRight = gridLeft + spacingX * DIVISIONS_X;
+        const gridBottom = gridTop + spacingY * DIVISIONS_Y;
+        const cx = (gridLeft + gridRight) / 2;
+        const cy = (gridTop + gridBottom) / 2;
+
+        scopeCtx.strokeStyle = '#333';
+        scopeCtx.lineWidth = 1;
         scopeCtx.beginPath();
-        scopeCtx.moveTo(gridRight - 6, y);
-        scopeCtx.lineTo(gridRight - 2, y);
+        for (let i = 0; i <= DIVISIONS_X; i++) {
+            scopeCtx.moveTo(gridLeft + i * spacingX, gridTop);
+            scopeCtx.lineTo(gridLeft + i * spacingX, gridBottom);
+        }
+        for (let j = 0; j <= DIVISIONS_Y; j++) {
+            scopeCtx.moveTo(gridLeft, gridTop + j * spacingY);
+            scopeCtx.lineTo(gridRight, gridTop + j * spacingY);
+        }
+        scopeCtx.stroke();
+
+        scopeCtx.fillStyle = '#888';
+        scopeCtx.font = '12px monospace';
+        scopeCtx.textAlign = 'left';
+        scopeCtx.textBaseline = 'top';
+        scopeCtx.fillText(`X/Y ${scopeSettings.ampPerDiv}/div`, gridLeft + 4, gridTop + 4);
+
+        // the target is a shape, not a level: it always fills most of the screen
+        if (xyTarget) {
+            const r = (gridBottom - gridTop) * 0.4;
+            scopeCtx.save();
+            scopeCtx.strokeStyle = 'rgba(255, 204, 51, 0.35)';
+            scopeCtx.lineWidth = 2;
+            scopeCtx.setLineDash([6, 4]);
+            scopeCtx.beginPath();
+            lissajousPoints(xyTarget[0], xyTarget[1]).forEach((p, i) => {
+                const x = cx + p.x * r;
+                const y = cy - p.y * r;
+                if (i === 0) scopeCtx.moveTo(x, y);
+                else scopeCtx.lineTo(x, y);
+            });
+            scopeCtx.stroke();
+            scopeCtx.restore();
+        }
+
+        if (!scopeSettings.hold) {
+            analyserX.getFloatTimeDomainData(xData);
+            analyserY.getFloatTimeDomainData(yData);
+        }
+
+        const pxPerUnit = spacingY / scopeSettings.ampPerDiv;
+        scopeCtx.save();
+        scopeCtx.beginPath();
+        scopeCtx.rect(gridLeft, gridTop, gridRight - gridLeft, gridBottom - gridTop);
+        scopeCtx.clip();
+        scopeCtx.strokeStyle = '#0f0';
+        scopeCtx.lineWidth = 2;
+        scopeCtx.beginPath();
+        for (let i = 0; i < xData.length; i++) {
+            const x = cx + xData[i] * pxPerUnit;
+            const y = cy - yData[i] * pxPerUnit;
+            if (i === 0) scopeCtx.moveTo(x, y);
+            else scopeCtx.lineTo(x, y);
+        }
         scopeCtx.stroke();
+        scopeCtx.restore();
+    }
 
-        // omit first and last label (j === 0 or j === divisionsY)
-        if (j === 0 || j === divisionsY) continue;
+    // dashed crosshairs for cursors A/B plus the Δt, 1/Δt and ΔV readout
+    function drawCursors(gridLeft, gridTop, spacingX, spacingY) {
+        if (cursors.length === 0) return;
+        const gridRight = gridLeft + spacingX * DIVISIONS_X;
+        const gridBottom = gridTop + spacingY * DIVISIONS_Y;
+
+        scopeCtx.save();
+        scopeCtx.strokeStyle = '#fc3';
+        scopeCtx.fillStyle = '#fc3';
+        scopeCtx.lineWidth = 1;
+        scopeCtx.setLineDash([3, 3]);
+        scopeCtx.font = '12px monospace';
+        scopeCtx.textBaseline = 'top';
+        cursors.forEach((c, k) => {
+            const x = gridLeft + c.divX * spacingX;
+            const y = gridTop + c.divY * spacingY;
+            scopeCtx.beginPath();
+            scopeCtx.moveTo(x, gridTop);
+            scopeCtx.lineTo(x, gridBottom);
+            scopeCtx.moveTo(gridLeft, y);
+            scopeCtx.lineTo(gridRight, y);
+            scopeCtx.stroke();
+            scopeCtx.textAlign = 'left';
+            scopeCtx.fillText(k === 0 ? 'A' : 'B', x + 3, y + 2);
+        });
+
+        if (cursors.length === 2) {
+            const { msPerDiv, ampPerDiv } = scopeSettings;
+            const dt = Math.abs(cursors[1].divX - cursors[0].divX) * msPerDiv;
+            const dv = Math.abs(cursors[1].divY - cursors[0].divY) * ampPerDiv;
+            const freq = dt > 0 ? (1000 / dt).toFixed(1) + ' Hz' : '--';
+            scopeCtx.textAlign = 'left';
+            scopeCtx.fillText(`\u0394t ${dt.toFixed(3)} ms  1/\u0394t ${freq}  \u0394V ${dv.toFixed(3)}`, gridLeft + 4, gridTop + 4);
+        }
+        scopeCtx.restore();
+    }
 
-        // label right of the grid (outside the grid)
-        scopeCtx.fillText(label, scopeCanvas.width - 6, y);
+    // bin index (fractional) for a frequency
+    function binForFreq(freq) {
+        return freq / (analyser.context.sampleRate / 2) * freqData.length;
     }
 
-    // --- waveform drawing ---
-    const freqToDraw = currentFreq != null ? currentFreq : lastFreq;
+    function drawFrequencyView(gridLeft, gridTop, gridWidth, gridHeight, divisionsY) {
+        if (!scopeSettings.hold) analyser.getFloatFrequencyData(freqData);
+        const gridRight = gridLeft + gridWidth;
+        const gridBottom = gridTop + gridHeight;
 
-    // use grid center for idle trace as well
-    const midY = (gridTop + gridBottom) / 2;
+        scopeCtx.strokeStyle = '#333';
+        scopeCtx.lineWidth = 1;
+        scopeCtx.fillStyle = '#0f0';
+        scopeCtx.font = '12px monospace';
 
-    if (!freqToDraw || visualAmp <= 0.001) {
-        // idle flat trace ONLY when no signal
-        scopeCtx.strokeStyle = '#0f0';
+        // spectrogram: time runs along x, so the log-frequency ticks go up the left edge
+        if (scopeMode === 'spectrogram') {
+            drawSpectrogram(gridLeft, gridTop, gridWidth, gridHeight);
+            scopeCtx.textAlign = 'left';
+            scopeCtx.textBaseline = 'bottom';
+            FREQ_TICKS.forEach(freq => {
+                const y = freqToY(freq, gridTop, gridHeight);
+                scopeCtx.beginPath();
+                scopeCtx.moveTo(gridLeft, y);
+                scopeCtx.lineTo(gridRight, y);
+                scopeCtx.stroke();
+                scopeCtx.fillText(freqTickLabel(freq), gridLeft + 2, y - 2);
+            });
+            return;
+        }
+
+        // log-frequency grid + labels
+        scopeCtx.textAlign = 'center';
+        scopeCtx.textBaseline = 'bottom';
+        FREQ_TICKS.forEach(freq => {
+            const x = freqToX(freq, gridLeft, gridWidth);
+            scopeCtx.beginPath();
+            scopeCtx.moveTo(x, gridTop);
+            scopeCtx.lineTo(x, gridBottom);
+            scopeCtx.stroke();
+            scopeCtx.fillText(freqTickLabel(freq), x, gridBottom - 2);
+        });
+
+        // dB grid (right side labels, like the amplitude scale)
+        scopeCtx.textAlign = 'right';
+        scopeCtx.textBaseline = 'middle';
+        scopeCtx.fillText('dB', scopeCanvas.width - 6, gridTop);
+        for (let j = 0; j <= divisionsY; j++) {
+            const y = gridTop + j * gridHeight / divisionsY;
+            scopeCtx.beginPath();
+            scopeCtx.moveTo(gridLeft, y);
+            scopeCtx.lineTo(gridRight, y);
+            scopeCtx.stroke();
+            if (j > 0 && j < divisionsY) scopeCtx.fillText(String(DB_TOP - j * DB_PER_DIV), scopeCanvas.width - 6, y);
+        }
+
+        const dbBottom = DB_TOP - divisionsY * DB_PER_DIV;
+        const dbToY = (db) => gridTop + (DB_TOP - Math.max(dbBottom, Math.min(DB_TOP, db))) / (DB_TOP - dbBottom) * gridHeight;
+
+        // spectrum trace: one sample per pixel column
         scopeCtx.lineWidth = 2;
+        scopeCtx.strokeStyle = '#0f0';
         scopeCtx.beginPath();
-        scopeCtx.moveTo(gridLeft, midY);
-        scopeCtx.lineTo(gridRight, midY);
+        for (let x = Math.floor(gridLeft); x <= Math.ceil(gridRight); x++) {
+            const freq = F_MIN * Math.pow(F_MAX / F_MIN, (x - gridLeft) / gridWidth);
+            const db = freqData[Math.min(freqData.length - 1, Math.round(binForFreq(freq)))];
+            const y = dbToY(db);
+            if (x === Math.floor(gridLeft)) scopeCtx.moveTo(x, y);
+            else scopeCtx.lineTo(x, y);
+        }
         scopeCtx.stroke();
-        return;
+
+        // peak markers with note names
+        findPeaks().forEach(({ freq, db }) => {
+            const x = freqToX(freq, gridLeft, gridWidth);
+            const y = dbToY(db);
+            const { name, cents } = noteNameForFrequency(freq);
+            scopeCtx.fillStyle = '#2f8';
+            scopeCtx.beginPath();
+            scopeCtx.moveTo(x, y - 4);
+            scopeCtx.lineTo(x - 4, y - 10);
+            scopeCtx.lineTo(x + 4, y - 10);
+            scopeCtx.closePath();
+            scopeCtx.fill();
+            scopeCtx.textAlign = 'center';
+            scopeCtx.textBaseline = 'bottom';
+            scopeCtx.fillText(`${name}${cents >= 0 ? '+' : ''}${Math.round(cents)}`, x, y - 12);
+        });
     }
 
-    // sine wave
-    scopeCtx.lineWidth = 2;
-    scopeCtx.strokeStyle = '#0f0';
-    scopeCtx.beginPath();
+    // strongest local maxima in the visible range, interpolated between bins
+    function findPeaks() {
+        const peaks = [];
+        const first = Math.max(1, Math.floor(binForFreq(F_MIN)));
+        const last = Math.min(freqData.length - 2, Math.ceil(binForFreq(F_MAX)));
+        const binHz = analyser.context.sampleRate / 2 / freqData.length;
+
+        for (let i = first; i <= last; i++) {
+            const a = freqData[i - 1];
+            const b = freqData[i];
+            const c = freqData[i + 1];
+            if (b < PEAK_FLOOR || b < a || b <= c) continue;
+            const denom = a - 2 * b + c;
+            const offset = denom !== 0 ? 0.5 * (a - c) / denom : 0;
+            peaks.push({ freq: (i + offset) * binHz, db: b });
+        }
 
-    // amplitude based on grid height so waveform sits inside the grid
-    const amplitude = visualAmp * (gridHeight / 2 * 0.9);
+        // loudest first, skipping neighbours of a peak already taken
+        peaks.sort((p, q) => q.db - p.db);
+        const picked = [];
+        peaks.forEach(p => {
+            if (picked.length >= MAX_PEAKS) return;
+            if (picked.some(q => Math.abs(1200 * Math.log2(p.freq / q.freq)) < 100)) return;
+            picked.push(p);
+        });
+        return picked;
+    }
 
-    const totalSeconds = totalMs / 1000;
-    const cycles = freqToDraw * totalSeconds;
+    // shift the history left one column and paint the newest spectrum on the right
+    function drawSpectrogram(gridLeft, gridTop, gridWidth, gridHeight) {
+        const w = Math.max(1, Math.floor(gridWidth));
+        const h = Math.max(1, Math.floor(gridHeight));
+        if (spectroCanvas.width !== w || spectroCanvas.height !== h) {
+            spectroCanvas.width = w;
+            spectroCanvas.height = h;
+        }
 
-    if (typeof drawScope.phase === 'undefined') {
-        drawScope.phase = 0;
-    }
+        // hold freezes the history as well
+        if (scopeSettings.hold) {
+            scopeCtx.drawImage(spectroCanvas, gridLeft, gridTop);
+            return;
+        }
 
-    // map x across the grid area and center the waveform horizontally
-    const gridCenterX = (gridLeft + gridRight) / 2;
-    for (let x = Math.floor(gridLeft); x <= Math.ceil(gridRight); x++) {
-        // normalized position relative to grid center: -0.5 .. +0.5
-        const normalized = (x - gridCenterX) / gridWidth;
-        // convert normalized position to radians across the number of cycles
-        const t = normalized * cycles * 2 * Math.PI + drawScope.phase;
-        const y = midY + Math.sin(t) * amplitude;
-        if (x === Math.floor(gridLeft)) {
-            scopeCtx.moveTo(x, y);
-        } else {
-            scopeCtx.lineTo(x, y);
+        spectroCtx.drawImage(spectroCanvas, -1, 0);
+        const dbBottom = -100;
+        for (let y = 0; y < h; y++) {
+            // low frequencies at the bottom, log scale like the spectrum
+            const freq = F_MIN * Math.pow(F_MAX / F_MIN, 1 - y / h);
+            const db = freqData[Math.min(freqData.length - 1, Math.round(binForFreq(freq)))];
+            const level = Math.max(0, Math.min(1, (db - dbBottom) / (DB_TOP - dbBottom)));
+            spectroCtx.fillStyle = `rgb(0, ${Math.round(255 * level)}, ${Math.round(128 * level)})`;
+            spectroCtx.fillRect(w - 1, y, 1, 1);
         }
+
+        scopeCtx.drawImage(spectroCanvas, gridLeft, gridTop);
     }
 
-    scopeCtx.stroke();
+    let frame = null;
+
+    function start() {
+        if (frame != null) return;
+        window.addEventListener('resize', resizeScope);
+        resizeScope();
+        const loop = () => {
+            frame = requestAnimationFrame(loop);
+            drawFrame();
+        };
+        loop();
+    }
+
+    function stop() {
+        if (frame == null) return;
+        cancelAnimationFrame(frame);
+        frame = null;
+        window.removeEventListener('resize', resizeScope);
+    }
+
+    return {
+        start,
+        stop,
+        drawFrame,
+        setMode: setScopeMode,
+        getMode: getScopeMode,
+        settings: scopeSettings,
+        setSettings: setScopeSettings,
+        setXYTarget,
+        clearCursors
+    };
+}
+
+// --- default renderer: the page's #scope-screen, set up by initScope ---
+let defaultRenderer = null;
+
+// param: canvas elem; starts drawing the default graph on it
+export function initScope(canvas) {
+    if (defaultRenderer) defaultRenderer.stop();
+    defaultRenderer = createScopeRenderer(canvas);
+    defaultRenderer.start();
+    return defaultRenderer;
+}
+
+export function setScopeMode(mode) {
+    defaultRenderer.setMode(mode);
+}
+
+export function getScopeMode() {
+    return defaultRenderer.getMode();
+}
+
+export function setXYTarget(ratio) {
+    defaultRenderer.setXYTarget(ratio);
+}
+
+// param: container elem for the front-panel controls, renderer they drive (the default one)
+export function initScopePanel(container, renderer = defaultRenderer) {
+    const addField = (text, input, key, parse = (v) => v) => {
+        const label = document.createElement('label');
+        label.textContent = text;
+        label.appendChild(input);
+        container.appendChild(label);
+        const read = () => input.type === 'checkbox' ? input.checked : parse(input.value);
+        input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+            renderer.setSettings({ [key]: read() });
+        });
+        return input;
+    };
+    const select = (values, format) => {
+        const el = document.createElement('select');
+        values.forEach(v => {
+            const option = document.createElement('option');
+            option.value = String(v);
+            option.textContent = format(v);
+            el.appendChild(option);
+        });
+        return el;
+    };
+    const range = (min, max, step) => {
+        const el = document.createElement('input');
+        el.type = 'range';
+        el.min = String(min);
+        el.max = String(max);
+        el.step = String(step);
+        return el;
+    };
+
+    addField('Time/div', select(TIME_PER_DIV, v => v + ' ms'), 'msPerDiv', Number).value = String(renderer.settings.msPerDiv);
+    addField('Amp/div', select(AMP_PER_DIV, v => String(v)), 'ampPerDiv', Number).value = String(renderer.settings.ampPerDiv);
+    addField('Trig level', range(-1, 1, 0.05), 'triggerLevel', Number).value = String(renderer.settings.triggerLevel);
+    addField('Trig slope', select(['rising', 'falling'], v => v), 'triggerSlope').value = renderer.settings.triggerSlope;
+    addField('H pos', range(-10, 10, 0.5), 'offsetX', Number).value = String(renderer.settings.offsetX);
+    addField('V pos', range(-4, 4, 0.25), 'offsetY', Number).value = String(renderer.settings.offsetY);
+
+    const hold = document.createElement('input');
+    hold.type = 'checkbox';
+    addField('Hold', hold, 'hold').checked = renderer.settings.hold;
+
+    const clearBtn = document.createElement('button');
+    clearBtn.type = 'button';
+    clearBtn.classList.add('btn');
+    clearBtn.textContent = 'Clear cursors';
+    clearBtn.title = 'Click the screen to place cursors A and B';
+    clearBtn.addEventListener('click', renderer.clearCursors);
+    container.appendChild(clearBtn);
 }
\ No newline at end of file
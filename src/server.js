@@ -2,72 +2,372 @@
 
 /**
  * @file    server.js
- * @brief   basic nodeJS web server for local testing
+ * @brief   basic nodeJS web server for local testing, plus the puzzle / score API
  * @author  Sarah Rosanna Busch
  * @date    20 Nov 2025
+ *
+ * API (JSON in and out):
+ *   GET  /api/puzzles                      all puzzles in play order
+ *   GET  /api/puzzles/:id                  one puzzle
+ *   POST /api/attempts                     { puzzleId, player, success, accuracy, time, hintsUsed }
+ *   GET  /api/leaderboard?puzzle=id&limit=n best solve per player, fastest first
  */
 
 const http = require('http');
-const url = require('url');
 const fs = require('fs');
+const path = require('path');
 
-const PORT = 9090;
+const PORT = Number(process.env.PORT) || 9090;
 
-const server = new http.createServer(function (req, res) {
-    var query = url.parse(req.url, true);  
-    var filename = __dirname + query.pathname;
+// kept outside the web root so it can't be downloaded
+const DATA_FILE = process.env.SCILLY_DATA || path.join(__dirname, '..', 'data', 'scillyscope.json');
+const MAX_BODY = 16 * 1024;
+const MAX_ATTEMPTS = 10000;   // oldest attempts are dropped past this
+const MIN_SOLVE_TIME = 1;     // seconds; nobody hears, plays and replays a message faster
 
-    if(req.method === 'POST') {
-        req.setEncoding('utf8');
-        req.on('data', function(data) {
-            console.log(data);
-            res.write(JSON.stringify({ack:true}));
-            res.end();
-        });
-    } else if(req.method === 'GET') {
-        fs.readFile(filename, function(err, data) {
-            if (err) {
-                res.writeHead(404, { 'Content-Type': 'text/plain' });
-                return res.end("404 File Not Found: " + filename);
-            }
+// the game's built-in list (defaultPuzzles in levels.js); new ones join a stored list on load
+const SEED_PUZZLES = require('./puzzles.json');
 
-            // Extract extension
-            const ext = filename.split('.').pop().toLowerCase();
-            let mimeType;
-
-            switch (ext) {
-                case 'html':
-                    mimeType = 'text/html';
-                    break;
-                case 'js':
-                    // Correct MIME type for both classic and module scripts
-                    mimeType = 'text/javascript';
-                    break;
-                case 'css':
-                    mimeType = 'text/css';
-                    break;
-                case 'svg':
-                    mimeType = 'image/svg+xml';
-                    break;
-                default:
-                    mimeType = 'text/plain';
-            }
+// --- persistent store: one JSON file, rewritten atomically on every change ---
+var db = loadDb();
+
+function loadDb() {
+    try {
+        const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        return {
+            puzzles: Array.isArray(data.puzzles) ? withSeedPuzzles(data.puzzles) : SEED_PUZZLES,
+            attempts: Array.isArray(data.attempts) ? data.attempts : []
+        };
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.log('ignoring unreadable ' + DATA_FILE + ': ' + err.message);
+        return { puzzles: SEED_PUZZLES, attempts: [] };
+    }
+}
+
+// stored puzzles keep their place; seed ids the data file hasn't seen go on the end
+function withSeedPuzzles(puzzles) {
+    const ids = new Set(puzzles.map(p => p && p.id));
+    return puzzles.concat(SEED_PUZZLES.filter(p => !ids.has(p.id)));
+}
+
+function saveDb() {
+    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+    const tmp = DATA_FILE + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(db, null, 2));
+    fs.renameSync(tmp, DATA_FILE);
+}
+
+// --- API ---
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req, callback) {
+    var size = 0;
+    var chunks = [];
+    var failed = false;
+    req.on('data', function(chunk) {
+        size += chunk.length;
+        if (size > MAX_BODY && !failed) {
+            failed = true;
+            callback(new HttpError(413, 'request body too large'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', function() {
+        if (failed) return;
+        try {
+            callback(null, JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (err) {
+            callback(new HttpError(400, 'body is not valid JSON'));
+        }
+    });
+}
+
+// throws HttpError(400) naming the first bad field; returns the stored shape
+function validateAttempt(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'body must be a JSON object');
+    if (typeof body.puzzleId !== 'string' || !db.puzzles.some(function(p) { return p.id === body.puzzleId; })) {
+        throw new HttpError(400, 'puzzleId must name a known puzzle');
+    }
+    const player = typeof body.player === 'string' ? body.player.trim() : '';
+    if (player.length < 1 || player.length > 32) throw new HttpError(400, 'player must be 1-32 characters');
+    if (typeof body.success !== 'boolean') throw new HttpError(400, 'success must be true or false');
+    if (typeof body.accuracy !== 'number' || !(body.accuracy >= 0 && body.accuracy <= 1)) {
+        throw new HttpError(400, 'accuracy must be a number from 0 to 1');
+    }
+    if (body.success && !(typeof body.time === 'number' && body.time >= MIN_SOLVE_TIME && body.time < 86400)) {
+        throw new HttpError(400, 'a successful attempt needs time in seconds (at least ' + MIN_SOLVE_TIME + ')');
+    }
+    const hintsUsed = body.hintsUsed == null ? 0 : body.hintsUsed;
+    if (!Number.isInteger(hintsUsed) || hintsUsed < 0) throw new HttpError(400, 'hintsUsed must be a whole number');
+
+    return {
+        puzzleId: body.puzzleId,
+        player: player,
+        success: body.success,
+        accuracy: body.accuracy,
+        time: body.success ? body.time : null,
+        hintsUsed: hintsUsed,
+        at: new Date().toISOString()
+    };
+}
+
+// best solve per player (fastest, then most accurate), fastest first
+function leaderboard(puzzleId, limit) {
+    const best = {};
+    db.attempts.forEach(function(a) {
+        if (!a.success || a.puzzleId !== puzzleId) return;
+        const b = best[a.player];
+        if (!b || a.time < b.time || (a.time === b.time && a.accuracy > b.accuracy)) best[a.player] = a;
+    });
+    return Object.values(best)
+        .sort(function(a, b) { return a.time - b.time || b.accuracy - a.accuracy; })
+        .slice(0, limit)
+        .map(function(a) { return { player: a.player, time: a.time, accuracy: a.accuracy, hintsUsed: a.hintsUsed, at: a.at }; });
+}
+
+// the one method each API collection answers to
+const API_METHODS = { puzzles: 'GET', attempts: 'POST', leaderboard: 'GET' };
+
+function handleApi(req, res, requestUrl) {
+    const parts = requestUrl.pathname.split('/').filter(Boolean);   // ['api', ...]
+    if (API_METHODS[parts[1]] && req.method !== API_METHODS[parts[1]]) {
+        res.setHeader('Allow', API_METHODS[parts[1]]);
+        throw new HttpError(405, 'method not allowed');
+    }
+
+    if (parts[1] === 'puzzles') {
+        if (parts.length === 2) return sendJson(res, 200, db.puzzles);
+        const id = parts.length === 3 ? resolveId(parts[2]) : null;
+        const puzzle = id && db.puzzles.find(function(p) { return p.id === id; });
+        if (!puzzle) throw new HttpError(404, 'no such puzzle');
+        return sendJson(res, 200, puzzle);
+    }
 
-            console.log('serving: ' + filename + ' as ' + mimeType);
-            res.writeHead(200, { 'Content-Type': mimeType });
-            res.write(data);
-            res.end();
+    if (parts[1] === 'attempts' && parts.length === 2) {
+        return readJsonBody(req, function(err, body) {
+            try {
+                if (err) throw err;
+                const attempt = validateAttempt(body);
+                db.attempts.push(attempt);
+                if (db.attempts.length > MAX_ATTEMPTS) db.attempts.splice(0, db.attempts.length - MAX_ATTEMPTS);
+                saveDb();
+                sendJson(res, 201, attempt);
+            } catch (e) {
+                sendError(res, e);
+            }
         });
     }
-    
-});
 
-server.listen(PORT);
+    if (parts[1] === 'leaderboard' && parts.length === 2) {
+        const puzzleId = requestUrl.searchParams.get('puzzle');
+        if (!puzzleId || !db.puzzles.some(function(p) { return p.id === puzzleId; })) {
+            throw new HttpError(400, 'puzzle must name a known puzzle');
+        }
+        const limit = Math.max(1, Math.min(100, parseInt(requestUrl.searchParams.get('limit'), 10) || 10));
+        return sendJson(res, 200, leaderboard(puzzleId, limit));
+    }
+
+    throw new HttpError(404, 'no such API route');
+}
+
+function resolveId(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (err) {
+        return null;
+    }
+}
 
-server.once('listening', function() {
-    console.log('server listening on port ' + PORT);
+function sendError(res, err) {
+    if (!(err instanceof HttpError)) console.log('api error: ' + err.stack);
+    sendJson(res, err.status || 500, { error: err instanceof HttpError ? err.message : 'internal error' });
+}
+
+// --- static files ---
+const ROOT = __dirname;
+
+const MIME_TYPES = {
+    html: 'text/html; charset=utf-8',
+    js: 'text/javascript; charset=utf-8',   // classic and module scripts alike
+    mjs: 'text/javascript; charset=utf-8',
+    css: 'text/css; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    txt: 'text/plain; charset=utf-8',
+    md: 'text/markdown; charset=utf-8',
+    svg: 'image/svg+xml',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    ico: 'image/x-icon',
+    wasm: 'application/wasm',
+    wav: 'audio/wav',
+    mp3: 'audio/mpeg',
+    ogg: 'audio/ogg',
+    m4a: 'audio/mp4',
+    mid: 'audio/midi',
+    midi: 'audio/midi',
+    scl: 'text/plain; charset=utf-8',
+    woff: 'font/woff',
+    woff2: 'font/woff2'
+};
+
+function sendText(res, status, text, headers) {
+    res.writeHead(status, Object.assign({ 'Content-Type': 'text/plain; charset=utf-8' }, headers));
+    res.end(text);
+}
+
+// absolute file path for a URL path, or null if it would leave ROOT
+function resolvePath(pathname) {
+    var decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (err) {
+        return null;
+    }
+    if (decoded.includes('\0')) return null;
+    const filename = path.join(ROOT, path.normalize(decoded));
+    if (filename !== ROOT && !filename.startsWith(ROOT + path.sep)) return null;
+    // dotfiles (.git, .env, ...) are never served
+    if (path.relative(ROOT, filename).split(path.sep).some(function(part) { return part.startsWith('.'); })) return null;
+    return filename;
+}
+
+// "bytes=a-b" -> { start, end } within size; null = ignore the header, false = unsatisfiable
+function parseRange(header, size) {
+    const m = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!m || (m[1] === '' && m[2] === '')) return null;   // malformed or multi-range: send it all
+    var start, end;
+    if (m[1] === '') {
+        // suffix: the last n bytes
+        start = Math.max(0, size - parseInt(m[2], 10));
+        end = size - 1;
+    } else {
+        start = parseInt(m[1], 10);
+        end = m[2] === '' ? size - 1 : Math.min(parseInt(m[2], 10), size - 1);
+    }
+    if (start >= size || start > end) return false;
+    return { start: start, end: end };
+}
+
+function isFresh(req, etag, mtime) {
+    const noneMatch = req.headers['if-none-match'];
+    if (noneMatch) {
+        return noneMatch.split(',').some(function(tag) { return tag.trim() === etag || tag.trim() === '*'; });
+    }
+    const since = Date.parse(req.headers['if-modified-since']);
+    return !isNaN(since) && Math.floor(mtime.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+function serveStatic(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return sendText(res, 405, 'Method Not Allowed', { 'Allow': 'GET, HEAD' });
+    }
+
+    var filename = resolvePath(pathname);
+    if (!filename) return sendText(res, 403, 'Forbidden');
+
+    fs.stat(filename, function(err, stat) {
+        // a directory (including "/") serves its index.html
+        if (!err && stat.isDirectory()) {
+            filename = path.join(filename, 'index.html');
+            return fs.stat(filename, function(err2, stat2) {
+                sendFile(req, res, filename, err2, stat2);
+            });
+        }
+        sendFile(req, res, filename, err, stat);
+    });
+}
+
+function sendFile(req, res, filename, err, stat) {
+    if (err || !stat.isFile()) return sendText(res, 404, 'Not Found');
+
+    const ext = path.extname(filename).slice(1).toLowerCase();
+    const etag = 'W/"' + stat.size.toString(16) + '-' + Math.floor(stat.mtimeMs).toString(16) + '"';
+    const headers = {
+        'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+        'ETag': etag,
+        'Last-Modified': stat.mtime.toUTCString(),
+        'Cache-Control': 'no-cache',     // always revalidate: cheap with ETags, and edits show up at once
+        'Accept-Ranges': 'bytes',
+        'X-Content-Type-Options': 'nosniff'
+    };
+
+    if (isFresh(req, etag, stat.mtime)) {
+        res.writeHead(304, headers);
+        return res.end();
+    }
+
+    var status = 200;
+    var range = { start: 0, end: stat.size - 1 };
+    const ifRange = req.headers['if-range'];
+    if (req.headers.range && (!ifRange || ifRange === etag)) {
+        const parsed = parseRange(req.headers.range, stat.size);
+        if (parsed === false) {
+            return sendText(res, 416, 'Range Not Satisfiable', { 'Content-Range': 'bytes */' + stat.size });
+        }
+        if (parsed) {
+            status = 206;
+            range = parsed;
+            headers['Content-Range'] = 'bytes ' + range.start + '-' + range.end + '/' + stat.size;
+        }
+    }
+    headers['Content-Length'] = stat.size === 0 ? 0 : range.end - range.start + 1;
+
+    res.writeHead(status, headers);
+    if (req.method === 'HEAD' || stat.size === 0) return res.end();
+
+    const stream = fs.createReadStream(filename, { start: range.start, end: range.end });
+    stream.on('error', function(e) {
+        console.log('read error: ' + e.message);
+        res.destroy(e);
+    });
+    stream.pipe(res);
+}
+
+const server = http.createServer(function (req, res) {
+    var requestUrl;
+    try {
+        requestUrl = new URL(req.url, 'http://localhost');
+    } catch (err) {
+        return sendText(res, 400, 'Bad Request');
+    }
+
+    if (requestUrl.pathname.startsWith('/api/')) {
+        try {
+            handleApi(req, res, requestUrl);
+        } catch (err) {
+            sendError(res, err);
+        }
+    } else {
+        serveStatic(req, res, requestUrl.pathname);
+    }
 });
 
 server.on('error', function(e) {
     console.log('error code: ' + e.code);
 });
+
+// `node server.js` serves on PORT; require('./server.js') gets the server
+// unstarted, e.g. to listen(0) on an ephemeral port
+if (require.main === module) {
+    server.listen(PORT);
+    server.once('listening', function() {
+        console.log('server listening on port ' + PORT);
+    });
+}
+
+module.exports = { server: server, resolvePath: resolvePath, parseRange: parseRange };
@@ -0,0 +1,190 @@
+/**
+ * @file    storage.js
+ * @brief   ScillyScope saved settings, progress and recordings (localStorage)
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+const STORAGE_KEY = 'scillyscope';
+export const SCHEMA_VERSION = 3;
+
+const MAX_RECORDINGS = 20;
+
+function emptySave() {
+    return {
+        version: SCHEMA_VERSION,
+        volume: 0.5,
+        level: 0,              // index reached; levelId wins if the list changed
+        levelId: null,
+        stats: {},             // puzzle id -> stats from levels.js
+        recordings: [],        // { id, name, savedAt, notes }
+        player: '',            // leaderboard name
+        effects: {}            // puzzle id -> effects.js settings
+    };
+}
+
+/**
+ * MIGRATIONS[n] turns a version-n save into version n + 1. Add one here with
+ * every bump of SCHEMA_VERSION; never edit an old one.
+ */
+const MIGRATIONS = {
+    // v2 added the leaderboard name
+    1: (old) => ({ ...old, player: '', version: 2 }),
+    // v3 added effects settings per puzzle
+    2: (old) => ({ ...old, effects: {}, version: 3 })
+};
+
+function migrate(data) {
+    let save = data;
+    let version = save && save.version;
+    if (!Number.isInteger(version) || version < 1) throw new Error('Save has no schema version');
+    if (version > SCHEMA_VERSION) throw new Error(`Save is from a newer version (${version})`);
+    while (version < SCHEMA_VERSION) {
+        save = MIGRATIONS[version](save);
+        version = save.version;
+    }
+    return { ...emptySave(), ...save };
+}
+
+let cache = null;
+
+// the current save; a missing, unreadable or too-new one starts fresh
+export function loadSave() {
+    if (cache) return cache;
+    try {
+        const text = localStorage.getItem(STORAGE_KEY);
+        cache = text ? migrate(JSON.parse(text)) : emptySave();
+    } catch (err) {
+        console.warn('Ignoring saved data:', err.message);
+        cache = emptySave();
+    }
+    return cache;
+}
+
+// merge changes into the save and write it; storage errors (private mode,
+// quota) keep the change in memory only
+export function updateSave(changes) {
+    cache = { ...loadSave(), ...changes, version: SCHEMA_VERSION };
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(cache));
+    } catch (err) {
+        console.warn('Could not save:', err.message);
+    }
+    return cache;
+}
+
+export function resetSave() {
+    cache = emptySave();
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (err) {
+        console.warn('Could not clear saved data:', err.message);
+    }
+}
+
+// --- saved recordings ---
+
+export function listRecordings() {
+    return loadSave().recordings.map(({ id, name, savedAt, notes }) => ({ id, name, savedAt, count: notes.length }));
+}
+
+export function getRecordingById(id) {
+    const entry = loadSave().recordings.find(r => r.id === id);
+    return entry ? entry.notes.map(n => ({ ...n })) : null;
+}
+
+// newest first; the oldest drop off past MAX_RECORDINGS
+export function saveRecording(name, notes) {
+    const entry = { id: String(Date.now()), name, savedAt: new Date().toISOString(), notes };
+    updateSave({ recordings: [entry, ...loadSave().recordings].slice(0, MAX_RECORDINGS) });
+    return entry.id;
+}
+
+export function deleteRecording(id) {
+    updateSave({ recordings: loadSave().recordings.filter(r => r.id !== id) });
+}
+
+/**
+ * param: container elem, getNotes() -> current recording,
+ *        onLoad(notes) to load a saved one (throw to reject), onReset() after wiping
+ */
+export function initStoragePanel(container, getNotes, onLoad, onReset) {
+    const status = document.createElement('div');
+    status.setAttribute('aria-live', 'polite');
+
+    const nameLabel = document.createElement('label');
+    nameLabel.textContent = 'Name';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.maxLength = 32;
+    nameInput.size = 10;
+    nameInput.placeholder = 'anonymous';
+    nameInput.value = loadSave().player;
+    nameInput.addEventListener('change', () => updateSave({ player: nameInput.value.trim() }));
+    nameLabel.appendChild(nameInput);
+
+    const label = document.createElement('label');
+    label.textContent = 'Saved';
+    const select = document.createElement('select');
+    label.appendChild(select);
+
+    const fill = () => {
+        select.innerHTML = '';
+        const recordings = listRecordings();
+        recordings.forEach(r => {
+            const option = document.createElement('option');
+            option.value = r.id;
+            option.textContent = `${r.name} (${r.count})`;
+            select.appendChild(option);
+        });
+        select.disabled = recordings.length === 0;
+    };
+
+    const button = (text, onClick) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.classList.add('btn');
+        btn.textContent = text;
+        btn.addEventListener('click', () => {
+            try {
+                onClick();
+            } catch (err) {
+                status.textContent = err.message;
+            }
+        });
+        return btn;
+    };
+
+    const saveBtn = button('Save', () => {
+        const notes = getNotes();
+        if (notes.length === 0) throw new Error('Nothing recorded yet');
+        const name = notes.map(n => n.label).join('').slice(0, 16) || 'recording';
+        saveRecording(name, notes);
+        fill();
+        status.textContent = `Saved "${name}"`;
+    });
+    const loadBtn = button('Load', () => {
+        const notes = select.value && getRecordingById(select.value);
+        if (!notes) return;
+        onLoad(notes);
+        status.textContent = 'Loaded';
+    });
+    const deleteBtn = button('Delete', () => {
+        if (!select.value) return;
+        deleteRecording(select.value);
+        fill();
+        status.textContent = 'Deleted';
+    });
+    const resetBtn = button('Reset progress', () => {
+        if (!confirm('Forget your progress, settings and saved recordings?')) return;
+        resetSave();
+        fill();
+        nameInput.value = '';
+        status.textContent = 'Everything reset';
+        onReset();
+    });
+
+    fill();
+    container.append(nameLabel, label, saveBtn, loadBtn, deleteBtn, resetBtn, status);
+}
\ No newline at end of file
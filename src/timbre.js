@@ -0,0 +1,172 @@
+/**
+ * @file    timbre.js
+ * @brief   ScillyScope oscillator waveform selection
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+export const WAVEFORMS = ['sine', 'square', 'sawtooth', 'triangle', 'custom'];
+export const HARMONIC_COUNT = 8;
+
+let waveform = 'sine';
+
+// amplitude of each harmonic for the custom wave, index 0 = fundamental
+let harmonics = [1, 0, 0, 0, 0, 0, 0, 0];
+
+// what the player picked on the panel; puzzles and previews only borrow the oscillators
+let ownTimbre = { waveform, harmonics: harmonics.slice() };
+
+// PeriodicWave objects belong to one context, so cache per context
+let waveCache = new WeakMap();
+let customPeak = null;
+
+// events: 'change' (detail: { waveform, harmonics }) after every accepted change
+export const timbreEvents = new EventTarget();
+
+function emitChange() {
+    timbreEvents.dispatchEvent(new CustomEvent('change', { detail: { waveform, harmonics: getHarmonics() } }));
+}
+
+export function getWaveform() {
+    return waveform;
+}
+
+export function setWaveform(type) {
+    if (!WAVEFORMS.includes(type)) return;
+    waveform = type;
+    emitChange();
+}
+
+export function getHarmonics() {
+    return harmonics.slice();
+}
+
+export function setHarmonics(amps) {
+    harmonics = Array.from({ length: HARMONIC_COUNT }, (_, i) => {
+        const a = Number(amps[i]);
+        return Number.isFinite(a) ? Math.max(0, Math.min(1, a)) : 0;
+    });
+    waveCache = new WeakMap();
+    customPeak = null;
+    emitChange();
+}
+
+// { waveform, harmonics } together, as a puzzle's `timbre` field holds them
+export function getTimbre() {
+    return { waveform, harmonics: getHarmonics() };
+}
+
+// harmonics are optional (a puzzle only gives them for 'custom'); unknown waveforms are ignored
+export function setTimbre(timbre) {
+    if (timbre.harmonics) setHarmonics(timbre.harmonics);
+    setWaveform(timbre.waveform);
+}
+
+// back to the player's own choice, e.g. after a puzzle with its own sound
+export function restoreOwnTimbre() {
+    setTimbre(ownTimbre);
+}
+
+function getPeriodicWave(ctx) {
+    let wave = waveCache.get(ctx);
+    if (!wave) {
+        // real[] stays zero: sine partials only, DC term ignored
+        const real = new Float32Array(HARMONIC_COUNT + 1);
+        const imag = new Float32Array(HARMONIC_COUNT + 1);
+        harmonics.forEach((a, i) => { imag[i + 1] = a; });
+        wave = ctx.createPeriodicWave(real, imag);
+        waveCache.set(ctx, wave);
+    }
+    return wave;
+}
+
+// configure an oscillator with the current waveform
+export function applyTimbre(osc) {
+    if (waveform === 'custom') {
+        osc.setPeriodicWave(getPeriodicWave(osc.context));
+    } else {
+        osc.type = waveform;
+    }
+}
+
+function customSum(phase) {
+    let y = 0;
+    for (let i = 0; i < harmonics.length; i++) {
+        if (harmonics[i]) y += harmonics[i] * Math.sin((i + 1) * phase);
+    }
+    return y;
+}
+
+// the browser normalises a PeriodicWave to peak 1, so the scope does too
+function getCustomPeak() {
+    if (customPeak == null) {
+        customPeak = 0;
+        for (let i = 0; i < 512; i++) {
+            customPeak = Math.max(customPeak, Math.abs(customSum(i / 512 * 2 * Math.PI)));
+        }
+    }
+    return customPeak;
+}
+
+// one sample of the current waveform at phase (radians), in -1..1
+export function waveSample(phase) {
+    const cycle = phase / (2 * Math.PI);
+    const frac = cycle - Math.floor(cycle);
+    switch (waveform) {
+        case 'square':
+            return frac < 0.5 ? 1 : -1;
+        case 'sawtooth':
+            return frac < 0.5 ? 2 * frac : 2 * frac - 2;
+        case 'triangle':
+            return (2 / Math.PI) * Math.asin(Math.sin(phase));
+        case 'custom': {
+            const peak = getCustomPeak();
+            return peak > 0 ? customSum(phase) / peak : 0;
+        }
+        default:
+            return Math.sin(phase);
+    }
+}
+
+// param: select elem for the waveform, container for the harmonic sliders
+export function initTimbrePanel(select, harmonicsEl) {
+    WAVEFORMS.forEach(type => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = type;
+        select.appendChild(option);
+    });
+    select.value = waveform;
+
+    const sliders = harmonics.map((a, i) => {
+        const label = document.createElement('label');
+        label.textContent = 'H' + (i + 1);
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '100';
+        slider.value = String(Math.round(a * 100));
+        slider.setAttribute('aria-label', 'harmonic ' + (i + 1) + ' amplitude');
+        slider.addEventListener('input', () => {
+            setHarmonics(sliders.map(s => s.value / 100));
+            ownTimbre = getTimbre();
+        });
+        label.appendChild(slider);
+        harmonicsEl.appendChild(label);
+        return slider;
+    });
+
+    harmonicsEl.hidden = waveform !== 'custom';
+    select.addEventListener('change', () => {
+        setWaveform(select.value);
+        ownTimbre = getTimbre();
+    });
+
+    // follow changes made elsewhere (a puzzle's own timbre, the editor's preview)
+    timbreEvents.addEventListener('change', () => {
+        select.value = waveform;
+        harmonicsEl.hidden = waveform !== 'custom';
+        sliders.forEach((s, i) => { s.value = String(Math.round(harmonics[i] * 100)); });
+    });
+}
\ No newline at end of file
@@ -0,0 +1,264 @@
+/**
+ * @file    tuning.js
+ * @brief   ScillyScope keyboard range, key labels, reference pitch and tunings
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// label pool: A..Z once, then one visible space symbol U+2423 (␣)
+export const DEFAULT_LABELS = [...'ABCDEFGHIJKLMNOPQRSTUVWXYZ', '␣'];
+
+export const keyboardConfig = {
+    startNote: 'A2',          // white keys only
+    endNote: 'B4',
+    labels: DEFAULT_LABELS,   // array/string in key order, or { 'C4': 'X', ... }
+    referencePitch: 440,      // Hz at A4
+    tonic: 'C',               // scale degree 0 for non-equal tunings
+    tuning: 'equal'
+};
+
+// ratios per scale step above the tonic; `period` is the octave (or other) repeat
+export const TUNINGS = {
+    equal: {
+        name: '12-tone equal temperament',
+        ratios: NOTE_NAMES.map((_, i) => Math.pow(2, i / 12)),
+        period: 2
+    },
+    just: {
+        name: '5-limit just intonation',
+        ratios: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8],
+        period: 2
+    },
+    pythagorean: {
+        name: 'Pythagorean',
+        ratios: [1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128],
+        period: 2
+    }
+};
+
+let currentTuning = TUNINGS.equal;
+let labelOverride = null;     // labels a puzzle lays over the configured ones (see codecs.js)
+
+// "C#4" -> { name: 'C#', octave: 4, midi: 61 } (null if malformed)
+export function parseNote(note) {
+    const m = String(note).match(/^([A-G]#?)(-?\d+)$/);
+    if (!m) return null;
+    const octave = parseInt(m[2], 10);
+    return { name: m[1], octave, midi: NOTE_NAMES.indexOf(m[1]) + (octave + 1) * 12 };
+}
+
+// merge new settings; range ends must be white keys
+export function setKeyboardConfig(changes) {
+    const next = { ...keyboardConfig, ...changes };
+    ['startNote', 'endNote'].forEach(key => {
+        const parsed = parseNote(next[key]);
+        if (!parsed || parsed.name.includes('#')) throw new Error(`${key} must be a white key like C3, got "${next[key]}"`);
+    });
+    if (parseNote(next.startNote).midi > parseNote(next.endNote).midi) {
+        throw new Error('startNote must not be above endNote');
+    }
+    const ref = Number(next.referencePitch);
+    if (!(ref > 0)) throw new Error('referencePitch must be a positive frequency');
+    next.referencePitch = ref;
+    if (!NOTE_NAMES.includes(next.tonic)) throw new Error(`Unknown tonic "${next.tonic}"`);
+
+    if (typeof next.tuning === 'string') {
+        if (!TUNINGS[next.tuning]) throw new Error(`Unknown tuning "${next.tuning}"`);
+        currentTuning = TUNINGS[next.tuning];
+    } else {
+        currentTuning = validateTuning(next.tuning);
+    }
+    Object.assign(keyboardConfig, next);
+}
+
+export function getTuning() {
+    return currentTuning;
+}
+
+function validateTuning(t) {
+    if (!t || !Array.isArray(t.ratios) || t.ratios.length === 0 || !t.ratios.every(r => r > 0) || !(t.period > 1)) {
+        throw new Error('A tuning needs positive ratios and a period above 1');
+    }
+    return t;
+}
+
+// param: labels in key order to show instead of keyboardConfig.labels, or null to stop
+export function setLabelOverride(labels) {
+    labelOverride = labels || null;
+}
+
+// visible label for the key at `index` (key order, lowest first)
+export function keyLabel(note, index) {
+    const labels = labelOverride || keyboardConfig.labels;
+    if (labels && !Array.isArray(labels) && typeof labels === 'object') return labels[note] || '';
+    return Array.from(labels || '')[index] || '␣';
+}
+
+// ratio of step k above the tonic; wraps by the tuning's period
+function stepRatio(k) {
+    const { ratios, period } = currentTuning;
+    const n = ratios.length;
+    const degree = ((k % n) + n) % n;
+    return ratios[degree] * Math.pow(period, Math.floor(k / n));
+}
+
+/**
+ * Frequency of the key `semitones` above (or below) A4.
+ * Keys are numbered from the tonic and mapped onto the tuning's steps, so a
+ * Scala scale with more or fewer than 12 steps simply spreads over the keys.
+ * A4 always sounds at the reference pitch.
+ */
+export function tunedFrequency(semitones) {
+    const aStep = (NOTE_NAMES.indexOf('A') - NOTE_NAMES.indexOf(keyboardConfig.tonic) + 12) % 12;
+    return keyboardConfig.referencePitch * stepRatio(aStep + semitones) / stepRatio(aStep);
+}
+
+/**
+ * Parse a Scala .scl file: '!' comment lines, a description, the number of
+ * notes, then one pitch per line as cents (contains '.') or a ratio (3/2, 2).
+ * The last pitch is the period. Returns { name, ratios, period }.
+ */
+export function parseScala(text) {
+    const lines = String(text).split(/\r?\n/)
+        .map((line, i) => ({ line: line.trim(), num: i + 1 }))
+        .filter(l => !l.line.startsWith('!'));
+    if (lines.length < 2) throw new Error('Scala file needs a description and a note count');
+
+    const name = lines[0].line || 'Scala scale';
+    const count = parseInt(lines[1].line, 10);
+    if (!(count > 0)) throw new Error(`Scala line ${lines[1].num}: expected the number of notes`);
+
+    const pitches = lines.slice(2).filter(l => l.line).slice(0, count).map(({ line, num }) => {
+        const token = line.split(/\s+/)[0];
+        let ratio;
+        if (token.includes('.')) {
+            // the whole token must be the number: "700.0abc" or "1.5.5" is a broken file, not 700 or 1.5 cents
+            ratio = /^[+-]?(\d+\.\d*|\.\d+)$/.test(token) ? Math.pow(2, Number(token) / 1200) : NaN;
+        } else {
+            const [a, b] = token.split('/');
+            ratio = Number(a) / (b == null ? 1 : Number(b));
+        }
+        if (!(ratio > 0) || !Number.isFinite(ratio)) throw new Error(`Scala line ${num}: bad pitch "${token}"`);
+        return ratio;
+    });
+    if (pitches.length !== count) throw new Error(`Scala file lists ${pitches.length} of ${count} pitches`);
+
+    const period = pitches[pitches.length - 1];
+    return validateTuning({ name, ratios: [1, ...pitches.slice(0, -1)], period });
+}
+
+// param: container elem for the controls; onChange() after every accepted change
+export function initTuningPanel(container, onChange) {
+    const status = document.createElement('div');
+    status.setAttribute('aria-live', 'polite');
+
+    // returns whether the changes were accepted
+    const apply = (changes) => {
+        try {
+            setKeyboardConfig(changes);
+            status.textContent = getTuning().name;
+            onChange();
+            return true;
+        } catch (err) {
+            status.textContent = err.message;
+            return false;
+        }
+    };
+
+    const addField = (text, input) => {
+        const label = document.createElement('label');
+        label.textContent = text;
+        label.appendChild(input);
+        container.appendChild(label);
+        return input;
+    };
+
+    const tuningSelect = addField('Tuning', document.createElement('select'));
+    [...Object.keys(TUNINGS), 'scala'].forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = key;
+        tuningSelect.appendChild(option);
+    });
+    tuningSelect.value = 'equal';
+    let activeTuning = tuningSelect.value;   // what the select goes back to if a .scl is cancelled
+
+    const sclInput = document.createElement('input');
+    sclInput.type = 'file';
+    sclInput.accept = '.scl';
+    sclInput.hidden = true;
+    container.appendChild(sclInput);
+
+    tuningSelect.addEventListener('change', () => {
+        if (tuningSelect.value === 'scala') {
+            sclInput.click();
+        } else if (apply({ tuning: tuningSelect.value })) {
+            activeTuning = tuningSelect.value;
+        } else {
+            tuningSelect.value = activeTuning;
+        }
+    });
+    sclInput.addEventListener('cancel', () => { tuningSelect.value = activeTuning; });
+    sclInput.addEventListener('change', async () => {
+        const file = sclInput.files[0];
+        let loaded = false;
+        if (file) {
+            try {
+                loaded = apply({ tuning: parseScala(await file.text()) });
+            } catch (err) {
+                status.textContent = err.message;
+            }
+        }
+        if (loaded) activeTuning = 'scala';
+        tuningSelect.value = activeTuning;
+        sclInput.value = '';
+    });
+
+    const tonicSelect = addField('Tonic', document.createElement('select'));
+    NOTE_NAMES.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        tonicSelect.appendChild(option);
+    });
+    tonicSelect.value = keyboardConfig.tonic;
+    tonicSelect.addEventListener('change', () => apply({ tonic: tonicSelect.value }));
+
+    const refInput = addField('A4 (Hz)', document.createElement('input'));
+    refInput.type = 'number';
+    refInput.min = '200';
+    refInput.max = '600';
+    refInput.step = '0.1';
+    refInput.value = String(keyboardConfig.referencePitch);
+    refInput.addEventListener('change', () => apply({ referencePitch: refInput.value }));
+
+    ['startNote', 'endNote'].forEach(key => {
+        const input = addField(key === 'startNote' ? 'Lowest key' : 'Highest key', document.createElement('input'));
+        input.type = 'text';
+        input.size = 4;
+        input.value = keyboardConfig[key];
+        input.addEventListener('change', () => apply({ [key]: input.value.trim().toUpperCase() }));
+    });
+
+    // one character per key, lowest first; '_' is the gap key, empty restores the default
+    const labelsInput = addField('Labels', document.createElement('input'));
+    labelsInput.type = 'text';
+    labelsInput.spellcheck = false;
+    labelsInput.placeholder = DEFAULT_LABELS.join('');
+    const showLabels = () => {
+        const labels = keyboardConfig.labels;
+        labelsInput.value = Array.isArray(labels) || typeof labels === 'string' ? Array.from(labels).join('') : '';
+    };
+    showLabels();
+    labelsInput.addEventListener('change', () => {
+        const text = labelsInput.value.replace(/\s/g, '').replace(/_/g, '␣');
+        apply({ labels: text ? Array.from(text) : DEFAULT_LABELS });
+        showLabels();
+    });
+
+    status.textContent = getTuning().name;
+    container.appendChild(status);
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * @file    engine.test.mjs
+ * @brief   a headless ScillyScope on a fake AudioContext: melody, recording, grading, events
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeAudioContext } from './helpers/fakeAudio.mjs';
+import { createScillyScope } from '../src/engine.js';
+import { resolveNoteFromLabel } from '../src/keyboard.js';
+import { NotationError } from '../src/notation.js';
+
+// every event the instance emits, as [type, detail]
+function listen(scope) {
+    const log = [];
+    ['noteon', 'noteoff', 'recording', 'playbackend', 'result'].forEach(type => {
+        scope.addEventListener(type, (e) => log.push([type, e.detail]));
+    });
+    return log;
+}
+
+// press and release each label for 0.2 s, 0.1 s apart, on the fake clock
+function type(scope, ctx, labels) {
+    Array.from(labels).forEach(label => {
+        const note = resolveNoteFromLabel(label);
+        scope.noteOn(note);
+        ctx.currentTime += 0.2;
+        scope.noteOff(note);
+        ctx.currentTime += 0.1;
+    });
+}
+
+// the scheduler polls the context clock: move it on until playback ends
+async function playOut(scope, ctx) {
+    for (let i = 0; i < 200 && scope.nowPlaying(); i++) {
+        ctx.currentTime += 0.05;
+        await new Promise(resolve => setTimeout(resolve, 30));
+    }
+}
+
+test('runs without a page: needs a context of its own', () => {
+    assert.equal(typeof window, 'undefined');
+    assert.throws(() => createScillyScope(), /audioCtx/);
+});
+
+test('setMelody keeps the last good melody on a notation error', () => {
+    const scope = createScillyScope({ audioCtx: new FakeAudioContext() });
+    scope.setMelody('WA');
+    assert.throws(() => scope.setMelody('[W'), NotationError);
+    assert.equal(scope.getMelody(), 'WA');
+    scope.destroy();
+});
+
+test('records input notes and emits them in order', () => {
+    const ctx = new FakeAudioContext();
+    const scope = createScillyScope({ audioCtx: ctx });
+    const log = listen(scope);
+
+    assert.equal(scope.record(), true);
+    type(scope, ctx, 'W');
+    assert.equal(scope.record(), false);
+
+    assert.deepEqual(log.map(([t, d]) => t + (d.source ? ':' + d.source : '')), [
+        'recording', 'noteon:input', 'recording', 'noteoff:input', 'recording', 'recording'
+    ]);
+    const [take] = scope.getRecording();
+    assert.equal(take.note, resolveNoteFromLabel('W'));
+    assert.equal(take.label, 'W');
+    assert.ok(Math.abs(take.end - take.start - 0.2) < 1e-9);
+    scope.destroy();
+});
+
+test('grades the recording against the melody', () => {
+    const ctx = new FakeAudioContext();
+    const scope = createScillyScope({ audioCtx: ctx });
+    const log = listen(scope);
+    scope.setMelody('WAVES');
+
+    scope.record(true);
+    type(scope, ctx, 'WAVES');
+    scope.record(false);
+    const right = scope.grade();
+    assert.equal(right.success, true);
+    assert.equal(right.accuracy, 1);
+
+    scope.record(true);
+    type(scope, ctx, 'WAVS');
+    scope.record(false);
+    const wrong = scope.grade();
+    assert.equal(wrong.success, false);
+    assert.deepEqual(wrong.counts, { correct: 4, wrong: 0, missing: 1, extra: 0 });
+
+    assert.deepEqual(log.filter(([t]) => t === 'result').map(([, d]) => d.success), [true, false]);
+    scope.destroy();
+});
+
+test('a finished playback of the recording is graded', async () => {
+    const ctx = new FakeAudioContext();
+    const scope = createScillyScope({ audioCtx: ctx });
+    const log = listen(scope);
+    scope.setMelody('AB');
+    assert.equal(scope.playRecording(), false);
+
+    scope.record(true);
+    type(scope, ctx, 'AB');
+    scope.record(false);
+    assert.equal(scope.playRecording(), true);
+    assert.equal(scope.nowPlaying(), 'recording');
+
+    await playOut(scope, ctx);
+    assert.equal(scope.nowPlaying(), null);
+
+    const order = log.filter(([t, d]) => t !== 'recording' && d.source !== 'input').map(([t]) => t);
+    assert.deepEqual(order, ['noteon', 'noteoff', 'noteon', 'noteoff', 'playbackend', 'result']);
+    assert.equal(log.find(([t]) => t === 'playbackend')[1].reason, 'done');
+    assert.equal(log.find(([t]) => t === 'result')[1].success, true);
+    scope.destroy();
+});
+
+test('a shuffled melody plays without captions', async () => {
+    const ctx = new FakeAudioContext();
+    const scope = createScillyScope({ audioCtx: ctx });
+    const log = listen(scope);
+    const played = () => log.splice(0).filter(([t, d]) => t === 'noteon' && d.source === 'playback').map(([, d]) => d.label);
+    scope.setMelody('AB');
+
+    scope.setEncoding({ scheme: 'shuffle', seed: 'test' });
+    scope.play();
+    await playOut(scope, ctx);
+    assert.deepEqual(played(), [null, null]);
+
+    scope.setEncoding(null);
+    scope.play();
+    await playOut(scope, ctx);
+    assert.deepEqual(played(), ['A', 'B']);
+    scope.destroy();
+});
+
+test('instances keep their own state', () => {
+    const ctx = new FakeAudioContext();
+    const a = createScillyScope({ audioCtx: ctx });
+    const b = createScillyScope({ audioCtx: ctx });
+    a.record(true);
+    type(a, ctx, 'A');
+    a.record(false);
+    assert.equal(a.getRecording().length, 1);
+    assert.equal(b.getRecording().length, 0);
+    assert.throws(() => { a.record(true); a.loadRecording([]); }, /Stop recording/);
+    a.destroy();
+    b.destroy();
+});
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * @file    fakeAudio.mjs
+ * @brief   just enough of the Web Audio API to build ScillyScope's graph in Node
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+class FakeParam {
+    constructor(value = 0) {
+        this.value = value;
+    }
+    setValueAtTime(v) { this.value = v; }
+    linearRampToValueAtTime(v) { this.value = v; }
+    exponentialRampToValueAtTime(v) { this.value = v; }
+    setTargetAtTime() {}
+    cancelScheduledValues() {}
+    cancelAndHoldAtTime() {}
+}
+
+class FakeNode {
+    constructor(ctx, params = []) {
+        this.context = ctx;
+        params.forEach(name => { this[name] = new FakeParam(); });
+    }
+    connect(node) { return node; }
+    disconnect() {}
+}
+
+/**
+ * A context whose clock only moves when the test sets currentTime.
+ * Oscillator starts and stops are logged as [type, frequency, time].
+ */
+export class FakeAudioContext {
+    constructor() {
+        this.currentTime = 0;
+        this.sampleRate = 48000;
+        this.state = 'running';
+        this.destination = new FakeNode(this);
+        this.log = [];
+    }
+
+    createGain() {
+        const node = new FakeNode(this, ['gain']);
+        node.gain.value = 1;
+        return node;
+    }
+
+    createOscillator() {
+        const node = new FakeNode(this, ['frequency', 'detune']);
+        node.start = (t) => this.log.push(['start', node.frequency.value, t]);
+        node.stop = (t) => this.log.push(['stop', node.frequency.value, t]);
+        node.setPeriodicWave = () => {};
+        return node;
+    }
+
+    createAnalyser() {
+        const node = new FakeNode(this);
+        node.fftSize = 2048;
+        node.frequencyBinCount = 1024;
+        node.getFloatTimeDomainData = (a) => a.fill(0);
+        node.getFloatFrequencyData = (a) => a.fill(-100);
+        node.getByteFrequencyData = (a) => a.fill(0);
+        return node;
+    }
+
+    createBiquadFilter() { return new FakeNode(this, ['frequency', 'gain', 'Q']); }
+    createDynamicsCompressor() { return new FakeNode(this, ['threshold', 'knee', 'ratio', 'attack', 'release']); }
+    createDelay() { return new FakeNode(this, ['delayTime']); }
+    createConvolver() { return new FakeNode(this); }
+    createWaveShaper() { return new FakeNode(this); }
+    createChannelSplitter() { return new FakeNode(this); }
+    createChannelMerger() { return new FakeNode(this); }
+    createPeriodicWave() { return {}; }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        return { numberOfChannels: channels, length, sampleRate, getChannelData: (i) => data[i] };
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * @file    keyboard.test.mjs
+ * @brief   grade flash on the keys, across a rebuild of the keyboard
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGradeFlash } from '../src/keyboard.js';
+
+// a keyboard elem with just enough DOM for the flash: keys by data-note
+function fakeKeyboard(notes) {
+    const keyboard = {
+        keys: [],
+        build() {
+            this.keys = notes.map(note => {
+                const classes = new Set();
+                return {
+                    dataset: { note },
+                    classes,
+                    classList: { toggle: (cls, on) => { if (on) classes.add(cls); else classes.delete(cls); } }
+                };
+            });
+        },
+        querySelector(selector) {
+            const m = selector.match(/^\.key\[data-note="(.*)"\]$/);
+            return (m && this.keys.find(k => k.dataset.note === m[1])) || null;
+        }
+    };
+    keyboard.build();
+    return keyboard;
+}
+
+const lit = (keyboard) => keyboard.keys.filter(k => k.classes.size > 0).map(k => [k.dataset.note, ...k.classes]);
+
+test('a grade lights the pressed keys and the missed ones', () => {
+    const keyboard = fakeKeyboard(['A3', 'B3', 'C4']);
+    const flash = createGradeFlash(keyboard, 1000);
+    flash.show([
+        { type: 'correct', expected: 'A3', actual: 'A3' },
+        { type: 'wrong', expected: 'B3', actual: 'C4' },
+        { type: 'missing', expected: 'B3', actual: null }
+    ]);
+    assert.deepEqual(lit(keyboard), [['A3', 'grade-correct'], ['B3', 'grade-missing'], ['C4', 'grade-wrong']]);
+    flash.clear();
+    assert.deepEqual(lit(keyboard), []);
+});
+
+test('the flash of a solve survives the next level rebuilding the keys', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const keyboard = fakeKeyboard(['A3', 'B3']);
+    const flash = createGradeFlash(keyboard, 1000);
+    flash.show([{ type: 'correct', expected: 'A3', actual: 'A3' }, { type: 'correct', expected: 'B3', actual: 'B3' }]);
+
+    // a successful attempt moves on in the same tick: new keys, as createKeyboard() makes them
+    keyboard.build();
+    flash.reapply();
+    assert.deepEqual(lit(keyboard), [['A3', 'grade-correct'], ['B3', 'grade-correct']]);
+
+    t.mock.timers.tick(1000);
+    assert.deepEqual(lit(keyboard), []);
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * @file    midi.test.mjs
+ * @brief   Web MIDI input and output against a mocked requestMIDIAccess
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeAudioContext } from './helpers/fakeAudio.mjs';
+
+// the page's default graph is built on import, so the fake context goes in first
+globalThis.window = { AudioContext: FakeAudioContext };
+const midi = await import('../src/midi.js');
+
+function mockAccess() {
+    const input = {};
+    const sent = [];
+    const output = { id: 'out-1', name: 'Mock Out', send: (data, at) => sent.push({ data, at }) };
+    const access = {
+        inputs: new Map([['in-1', input]]),
+        outputs: new Map([['out-1', output]]),
+        addEventListener() {}
+    };
+    return { access, input, sent };
+}
+
+// every note has a key captioned 'Q'
+const keyboardEl = { querySelector: () => ({ textContent: 'Q' }) };
+
+test('note numbers map to data-notes and back', () => {
+    assert.equal(midi.midiToNote(69), 'A4');
+    assert.equal(midi.midiToNote(60), 'C4');
+    assert.equal(midi.noteToMidi('C#3'), 49);
+    assert.equal(midi.noteToMidi('nope'), null);
+});
+
+test('controller notes reach the press / release handlers', async () => {
+    const { access, input } = mockAccess();
+    const calls = [];
+    await midi.initMidi(keyboardEl, {
+        onPress: (note, label) => calls.push(['press', note, label]),
+        onRelease: (note) => calls.push(['release', note])
+    }, async () => access);
+
+    input.onmidimessage({ data: [0x90, 57, 100] });
+    input.onmidimessage({ data: [0x90, 57, 0] });      // running-status note off
+    input.onmidimessage({ data: [0x91, 59, 80] });     // channel 2
+    input.onmidimessage({ data: [0x81, 59, 0] });
+    input.onmidimessage({ data: [0xB0, 7, 100] });     // control change: ignored
+
+    assert.deepEqual(calls, [
+        ['press', 'A3', 'Q'], ['release', 'A3'],
+        ['press', 'B3', 'Q'], ['release', 'B3']
+    ]);
+    assert.deepEqual(midi.listMidiOutputs(), [{ id: 'out-1', name: 'Mock Out' }]);
+});
+
+test('scheduled notes go to the chosen output, and nothing without one', async () => {
+    const { access, sent } = mockAccess();
+    await midi.initMidi(keyboardEl, {}, async () => access);
+
+    midi.setMidiOutput(null);
+    midi.sendMidiNote('A4', 0, 0.5);
+    assert.equal(sent.length, 0);
+
+    midi.setMidiOutput('out-1');
+    midi.sendMidiNote('A4', 0, 0.5);
+    assert.deepEqual(sent.map(s => s.data), [[0x90, 69, 100], [0x80, 69, 0]]);
+    assert.ok(Math.abs(sent[1].at - sent[0].at - 500) < 1e-6);
+});
+
+test('stopping silences notes that are still queued, without clear()', async () => {
+    const { access, sent } = mockAccess();
+    await midi.initMidi(keyboardEl, {}, async () => access);
+    midi.setMidiOutput('out-1');
+
+    // a note due a second from now (the fake clock stays at 0), as the
+    // look-ahead scheduler would queue it
+    midi.sendMidiNote('C4', 1, 0.5);
+    const queuedOn = sent[0].at;
+    sent.length = 0;
+
+    midi.midiAllNotesOff();
+    assert.deepEqual(sent.map(s => s.data), [[0x80, 60, 0], [0xB0, 123, 0]]);
+    // the note-off lands no earlier than the note-on it cancels
+    assert.ok(sent[0].at >= queuedOn);
+
+    // already handled: a second stop only sends All Notes Off
+    sent.length = 0;
+    midi.midiAllNotesOff();
+    assert.deepEqual(sent.map(s => s.data), [[0xB0, 123, 0]]);
+});
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * @file    notation.test.mjs
+ * @brief   melody notation: whitespace separates notes, '-' rests
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseMelody } from '../src/notation.js';
+
+const timing = (text) => parseMelody(text).events.map(ev => [ev.labels.join(''), ev.start, ev.duration]);
+
+test('a space separates notes without a pause', () => {
+    assert.deepEqual(timing('A B'), timing('AB'));
+    assert.deepEqual(timing('AB'), [['A', 0, 0.5], ['B', 0.5, 0.5]]);
+    assert.equal(parseMelody('A B').length, 1);
+});
+
+test('a gap is written as a rest', () => {
+    assert.deepEqual(timing('A - B'), [['A', 0, 0.5], ['B', 1, 0.5]]);
+    assert.deepEqual(timing('A-B'), timing('A - B'));
+});
+
+test('the built-in melodies have no spaces to lose', () => {
+    const puzzles = JSON.parse(readFileSync(new URL('../src/puzzles.json', import.meta.url), 'utf8'));
+    puzzles.filter(p => typeof p.melody === 'string').forEach(p => {
+        assert.doesNotMatch(p.melody, /\s/, p.id);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,50 @@
+/**
+ * @file    pitch.test.mjs
+ * @brief   YIN pitch detection on generated buffers (no microphone)
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectPitch, nearestKey } from '../src/pitch.js';
+
+const SAMPLE_RATE = 48000;
+
+function tone(freq, shape = Math.sin, length = 2048) {
+    return Float32Array.from({ length }, (_, i) => 0.5 * shape(2 * Math.PI * freq * i / SAMPLE_RATE));
+}
+
+const square = (phase) => (Math.sin(phase) >= 0 ? 1 : -1);
+
+test('finds the pitch of a sine', () => {
+    const pitch = detectPitch(tone(220), SAMPLE_RATE);
+    assert.ok(pitch);
+    assert.ok(Math.abs(pitch.freq - 220) < 0.5, `got ${pitch.freq}`);
+    assert.ok(pitch.clarity > 0.9);
+});
+
+test('finds the fundamental of a harmonic-rich wave across the range', () => {
+    [82.41, 440, 987.77].forEach(freq => {
+        const pitch = detectPitch(tone(freq, square), SAMPLE_RATE);
+        assert.ok(pitch, `no pitch at ${freq} Hz`);
+        const cents = 1200 * Math.log2(pitch.freq / freq);
+        assert.ok(Math.abs(cents) < 10, `${freq} Hz read as ${pitch.freq}`);
+    });
+});
+
+test('silence has no pitch', () => {
+    assert.equal(detectPitch(new Float32Array(2048), SAMPLE_RATE), null);
+    assert.equal(detectPitch(tone(220).map(v => v * 0.001), SAMPLE_RATE), null);
+});
+
+test('snaps to the nearest key within a quarter tone', () => {
+    const keys = ['A3', 'A#3', 'B3'].map(note => ({ dataset: { note }, textContent: note[0] }));
+    const keyboardEl = { querySelectorAll: () => keys };
+
+    const key = nearestKey(225, keyboardEl);
+    assert.equal(key.note, 'A3');
+    assert.ok(key.cents > 0 && key.cents < 50);
+    assert.equal(nearestKey(100, keyboardEl), null);
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * @file    server.test.js
+ * @brief   static file handler and API routes, served on an ephemeral port
+ * @author  Sarah Rosanna Busch
+ * @date    19 Oct 2026
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// server.js loads its store on require: keep it away from the real data file, and
+// start from one written before any of today's seed puzzles existed
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scillyscope-test-'));
+process.env.SCILLY_DATA = path.join(dataDir, 'db.json');
+const STORED = { id: 'stored', title: 'Stored', melody: 'A B C' };
+fs.writeFileSync(process.env.SCILLY_DATA, JSON.stringify({ puzzles: [STORED], attempts: [] }));
+const { server, parseRange } = require('../src/server.js');
+const SEED_PUZZLES = require('../src/puzzles.json');
+
+const INDEX = fs.readFileSync(path.join(__dirname, '..', 'src', 'index.html'));
+let port;
+
+before(() => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+        port = server.address().port;
+        resolve();
+    });
+}));
+
+after(() => new Promise(resolve => {
+    server.close(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        resolve();
+    });
+}));
+
+// raw request: the path goes out exactly as written, '..' and bad escapes included
+function request(method, urlPath, headers = {}, body = null) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path: urlPath, headers }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+test('/ serves index.html with validators', async () => {
+    const res = await request('GET', '/');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-type'], 'text/html; charset=utf-8');
+    assert.ok(res.headers.etag);
+    assert.ok(res.headers['last-modified']);
+    assert.deepEqual(res.body, INDEX);
+});
+
+test('paths stay inside the web root', async () => {
+    assert.equal((await request('GET', '/../../etc/passwd')).status, 404);
+    assert.equal((await request('GET', '/..%2f..%2fetc%2fpasswd')).status, 404);
+    assert.equal((await request('GET', '/.git/config')).status, 403);
+    assert.equal((await request('GET', '/%00')).status, 403);
+    assert.equal((await request('GET', '/%zz')).status, 403);
+});
+
+test('HEAD sends the headers without a body', async () => {
+    const res = await request('HEAD', '/index.html');
+    assert.equal(res.status, 200);
+    assert.equal(Number(res.headers['content-length']), INDEX.length);
+    assert.equal(res.body.length, 0);
+});
+
+test('other methods get 405 with Allow', async () => {
+    const res = await request('DELETE', '/index.html');
+    assert.equal(res.status, 405);
+    assert.equal(res.headers.allow, 'GET, HEAD');
+    assert.equal((await request('PUT', '/api/puzzles')).status, 405);
+});
+
+test('ranges: partial content, and 416 past the end', async () => {
+    const res = await request('GET', '/index.html', { Range: 'bytes=0-9' });
+    assert.equal(res.status, 206);
+    assert.equal(res.headers['content-range'], `bytes 0-9/${INDEX.length}`);
+    assert.deepEqual(res.body, INDEX.subarray(0, 10));
+
+    const past = await request('GET', '/index.html', { Range: `bytes=${INDEX.length}-` });
+    assert.equal(past.status, 416);
+    assert.equal(past.headers['content-range'], `bytes */${INDEX.length}`);
+
+    assert.deepEqual(parseRange('bytes=-5', 20), { start: 15, end: 19 });
+    assert.equal(parseRange('bytes=0-1,4-5', 20), null);
+});
+
+test('a matching If-None-Match gets 304', async () => {
+    const first = await request('GET', '/index.html');
+    const again = await request('GET', '/index.html', { 'If-None-Match': first.headers.etag });
+    assert.equal(again.status, 304);
+    assert.equal(again.body.length, 0);
+});
+
+test('API: puzzles, bad ids and attempts', async () => {
+    const list = JSON.parse((await request('GET', '/api/puzzles')).body);
+    assert.deepEqual(list.map(p => p.id), [STORED.id, ...SEED_PUZZLES.map(p => p.id)]);
+    assert.equal((await request('GET', '/api/puzzles/%zz')).status, 404);
+
+    const attempt = (time) => request('POST', '/api/attempts', { 'Content-Type': 'application/json' },
+        JSON.stringify({ puzzleId: list[0].id, player: 'tester', success: true, accuracy: 1, time }));
+    assert.equal((await attempt(1e-300)).status, 400);
+    assert.equal((await attempt(12.5)).status, 201);
+
+    const board = JSON.parse((await request('GET', `/api/leaderboard?puzzle=${list[0].id}`)).body);
+    assert.deepEqual(board.map(b => [b.player, b.time]), [['tester', 12.5]]);
+});
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * @file    tuning.test.mjs
+ * @brief   Scala .scl parsing: cents, ratios and malformed pitch lines
+ * @authors Sarah Busch
+ * @version 0
+ * @date    19 Oct 2026
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseScala } from '../src/tuning.js';
+
+const scl = (...pitches) => ['! test.scl', 'Test scale', String(pitches.length), ...pitches].join('\n');
+
+test('reads cents and ratios, the last pitch being the period', () => {
+    const tuning = parseScala(scl('700.0 fifth', '3/2', '2/1'));
+    assert.equal(tuning.name, 'Test scale');
+    assert.equal(tuning.period, 2);
+    assert.ok(Math.abs(tuning.ratios[1] - Math.pow(2, 7 / 12)) < 1e-12);
+    assert.equal(tuning.ratios[2], 1.5);
+});
+
+test('a malformed pitch line rejects the file', () => {
+    for (const bad of ['1.5.5', '700.0abc', '.', '3/', 'x/2']) {
+        assert.throws(() => parseScala(scl('100.0', bad, '2/1')), { message: `Scala line 5: bad pitch "${bad}"` }, bad);
+    }
+});
\ No newline at end of file